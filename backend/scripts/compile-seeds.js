@@ -0,0 +1,60 @@
+/**
+ * Compile filesystem seeds
+ * Encrypts every node marked `meta.encryptWith` in each scenario pack's
+ * filesystem seed, and in the seed files of its network hosts, and writes
+ * the playable seeds to <pack>/compiled/.
+ *
+ * Usage: npm run compile:seeds [-- <scenarioId>...]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SeedCompiler } from '../src/services/seedCompiler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const scenariosDir = path.join(__dirname, '../../content/scenarios');
+
+if (!fs.existsSync(scenariosDir)) {
+  console.error(`No scenario directory at ${scenariosDir}`);
+  process.exit(1);
+}
+
+const requested = process.argv.slice(2);
+const packs = requested.length > 0
+  ? requested
+  : fs.readdirSync(scenariosDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+let failed = 0;
+
+for (const pack of packs) {
+  const packDir = path.join(scenariosDir, pack);
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(packDir, 'manifest.json'), 'utf-8'));
+    const files = [manifest.filesystem || 'filesystem.json'];
+    if (manifest.network) {
+      const network = JSON.parse(fs.readFileSync(path.join(packDir, manifest.network), 'utf-8'));
+      Object.values(network.hosts || {})
+        .filter(host => typeof host.filesystem === 'string')
+        .forEach(host => files.push(host.filesystem));
+    }
+    
+    for (const file of files) {
+      const seed = JSON.parse(fs.readFileSync(path.join(packDir, file), 'utf-8'));
+      const pending = SeedCompiler.countPending(seed);
+      const compiled = SeedCompiler.compile(seed);
+      const outPath = path.join(packDir, 'compiled', file);
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, JSON.stringify(compiled, null, 2) + '\n');
+      console.log(`✓ ${pack}/${file} (${pending} encrypted file${pending === 1 ? '' : 's'})`);
+    }
+  } catch (err) {
+    failed++;
+    console.error(`✗ ${pack}: ${err.message}`);
+  }
+}
+
+process.exit(failed > 0 ? 1 : 0);
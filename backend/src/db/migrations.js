@@ -0,0 +1,185 @@
+/**
+ * Schema migrations
+ * Forward-only, numbered migrations recorded in the schema_version table.
+ * Append new migrations to the end of the list; never edit applied ones.
+ */
+
+/**
+ * Add a column to an existing table if it is missing
+ */
+function ensureColumn(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up(db) {
+      // IF NOT EXISTS so databases created before migrations adopt this version as-is
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          role TEXT NOT NULL DEFAULT 'player',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          filesystem TEXT NOT NULL,
+          current_path TEXT DEFAULT '/',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS command_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          command TEXT NOT NULL,
+          output TEXT,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (session_id) REFERENCES sessions(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS puzzle_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          puzzle_id TEXT NOT NULL,
+          event_type TEXT NOT NULL,
+          details TEXT,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (session_id) REFERENCES sessions(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'session game state',
+    up(db) {
+      // Columns may already exist on databases that added them ad hoc
+      ensureColumn(db, 'sessions', 'scenario_id', 'TEXT');
+      ensureColumn(db, 'sessions', 'puzzle_state', "TEXT DEFAULT '{}'");
+      ensureColumn(db, 'sessions', 'ai_state', 'TEXT');
+      ensureColumn(db, 'sessions', 'identity', 'TEXT');
+      ensureColumn(db, 'sessions', 'assumed_identity', 'TEXT');
+      ensureColumn(db, 'sessions', 'frozen', 'INTEGER DEFAULT 0');
+      ensureColumn(db, 'sessions', 'waiting_room', 'INTEGER DEFAULT 1');
+      ensureColumn(db, 'sessions', 'round_started', 'INTEGER DEFAULT 0');
+      
+      // Sessions from before `ended` was tracked cannot be told apart from
+      // live ones; close them rather than bring them all back on startup
+      const hadEnded = db.prepare('PRAGMA table_info(sessions)').all().some(c => c.name === 'ended');
+      ensureColumn(db, 'sessions', 'ended', 'INTEGER DEFAULT 0');
+      if (!hadEnded) {
+        db.exec('UPDATE sessions SET ended = 1');
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'rounds',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS rounds (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scenario_id TEXT,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          ended_at DATETIME
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_command_logs_session ON command_logs(session_id);
+        CREATE INDEX IF NOT EXISTS idx_puzzle_events_session ON puzzle_events(session_id);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'granted commands and network hosts',
+    up(db) {
+      ensureColumn(db, 'sessions', 'granted_commands', "TEXT DEFAULT '[]'");
+      ensureColumn(db, 'sessions', 'network', 'TEXT');
+    }
+  },
+  {
+    version: 5,
+    name: 'round clock',
+    up(db) {
+      ensureColumn(db, 'rounds', 'clock', 'TEXT');
+    }
+  },
+  {
+    version: 6,
+    name: 'games',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS games (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          code TEXT UNIQUE NOT NULL,
+          scenario_id TEXT,
+          ended INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+      ensureColumn(db, 'sessions', 'game_id', 'TEXT');
+      ensureColumn(db, 'rounds', 'game_id', 'TEXT');
+      // Everything before games existed was played at the default table
+      db.exec(`
+        UPDATE sessions SET game_id = 'default' WHERE game_id IS NULL;
+        UPDATE rounds SET game_id = 'default' WHERE game_id IS NULL;
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'process tables',
+    up(db) {
+      ensureColumn(db, 'sessions', 'processes', 'TEXT');
+    }
+  },
+  {
+    version: 8,
+    name: 'session timers',
+    up(db) {
+      ensureColumn(db, 'sessions', 'timers', "TEXT DEFAULT '{}'");
+    }
+  }
+];
+
+/**
+ * Apply every migration newer than the database's schema version.
+ * Each migration runs in its own transaction together with its version row.
+ * Returns the list of versions that were applied.
+ */
+export function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const current = db.prepare('SELECT MAX(version) AS version FROM schema_version').get().version || 0;
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (migration.version <= current) continue;
+
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    })();
+    applied.push(migration.version);
+  }
+
+  return applied;
+}
@@ -6,9 +6,18 @@ import session from 'express-session';
 import bcrypt from 'bcrypt';
 import db from './db/database.js';
 import sessionManager from './services/sessionManager.js';
+import gameManager, { DEFAULT_GAME_ID } from './services/gameManager.js';
 import { CommandParser } from './services/commandParser.js';
 import { VFSEngine } from './services/vfsEngine.js';
 import aiEngine from './services/aiEngine.js';
+import traceEngine from './services/traceEngine.js';
+import roundClock from './services/roundClock.js';
+import scenarioManager from './services/scenarioManager.js';
+import puzzleEngine from './services/puzzleEngine.js';
+import { PuzzleSchema } from './services/puzzleSchema.js';
+import networkEngine from './services/networkEngine.js';
+import processEngine from './services/processEngine.js';
+import eventBus from './services/eventBus.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -51,6 +60,16 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Resolve the game a round or bulk request targets (the default table if unnamed)
+const requireGame = (req, res, next) => {
+  try {
+    req.game = gameManager.getGame(req.body?.gameId || req.query.gameId || DEFAULT_GAME_ID);
+  } catch (err) {
+    return res.status(404).json({ error: err.message });
+  }
+  next();
+};
+
 // Auth routes
 app.post('/api/auth/login', async (req, res) => {
   const { username, password } = req.body;
@@ -118,12 +137,34 @@ app.get('/api/auth/me', requireAuth, (req, res) => {
   });
 });
 
+// Scenario details shown to players (title for the waiting room, boot text)
+const scenarioInfo = (scenarioId) => {
+  const pack = scenarioManager.get(scenarioId);
+  return { id: pack.id, name: pack.name, title: pack.title, boot: pack.boot };
+};
+
+// The table a player sits at, as shown in their terminal
+const gameInfo = (gameId) => {
+  const game = gameManager.getGame(gameId);
+  return { id: game.id, name: game.name, code: game.code };
+};
+
 // Session routes
 app.post('/api/session/create', requireAuth, (req, res) => {
+  // A join code seats the player at that game's table
+  let game = null;
+  if (req.body?.code) {
+    try {
+      game = gameManager.getByCode(req.body.code);
+    } catch (err) {
+      return res.status(404).json({ error: err.message });
+    }
+  }
+
   // Check if user already has an active session
   const existingSessions = sessionManager.getSessionsByUser(req.session.userId);
   
-  // If user has an active session, reuse it instead of creating a new one
+  // If user has an active session at the same table, reuse it instead of creating a new one
   if (existingSessions.length > 0) {
     // Use the most recent session
     const latestSession = existingSessions.sort((a, b) => 
@@ -131,32 +172,34 @@ app.post('/api/session/create', requireAuth, (req, res) => {
     )[0];
     const session = sessionManager.getSession(latestSession.id);
     
-    // Check global round status - if round is started, ensure session reflects it
-    if (session && sessionManager.getGlobalRoundStatus()) {
-      session.waitingRoom = false;
-      session.roundStarted = true;
-      sessionManager.persistSession(latestSession.id);
+    if (!game || game.id === session.gameId) {
+      // Check the game's round status - if round is started, ensure session reflects it
+      if (sessionManager.isRoundStarted(session.gameId)) {
+        session.waitingRoom = false;
+        session.roundStarted = true;
+        sessionManager.persistSession(latestSession.id);
+      }
+      
+      return res.json({ 
+        sessionId: latestSession.id,
+        roundStarted: sessionManager.isRoundStarted(session.gameId),
+        scenario: scenarioInfo(session.scenarioId),
+        game: gameInfo(session.gameId)
+      });
     }
     
-    return res.json({ 
-      sessionId: latestSession.id,
-      roundStarted: sessionManager.getGlobalRoundStatus()
-    });
+    // Joining another table starts over on that game's pack
+    existingSessions.forEach(s => sessionManager.destroySession(s.id));
   }
   
-  // Create new session if none exists
-  const session = sessionManager.createSession(req.session.userId, req.session.username);
-  
-  // If round is already started globally, set session accordingly
-  if (sessionManager.getGlobalRoundStatus()) {
-    session.waitingRoom = false;
-    session.roundStarted = true;
-    sessionManager.persistSession(session.id);
-  }
+  // Create new session if none exists (it joins a running round straight away)
+  const session = sessionManager.createSession(req.session.userId, req.session.username, game?.id);
   
   res.json({ 
     sessionId: session.id,
-    roundStarted: sessionManager.getGlobalRoundStatus()
+    roundStarted: session.roundStarted,
+    scenario: scenarioInfo(session.scenarioId),
+    game: gameInfo(session.gameId)
   });
 });
 
@@ -175,7 +218,10 @@ app.get('/api/admin/session/:id', requireAdmin, (req, res) => {
     session: {
       id: session.id,
       username: session.username,
+      scenarioId: session.scenarioId,
+      host: session.network?.host || null,
       currentPath: session.currentPath,
+      identity: VFSEngine.getIdentity(session),
       aiState: session.aiState,
       frozen: session.frozen,
       waitingRoom: session.waitingRoom,
@@ -189,7 +235,12 @@ app.get('/api/admin/session/:id/filesystem', requireAdmin, (req, res) => {
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
-  res.json({ filesystem: session.fs });
+  // The player's own machine unless a network host is asked for
+  try {
+    res.json({ filesystem: networkEngine.view(session, req.query.host).fs });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
 });
 
 app.get('/api/admin/session/:id/logs', requireAdmin, (req, res) => {
@@ -206,7 +257,7 @@ app.post('/api/admin/session/:id/push-file', requireAdmin, (req, res) => {
   }
   
   try {
-    VFSEngine.addFile(session, path, contents, meta || {});
+    VFSEngine.addFile(networkEngine.view(session, req.body.host), path, contents, meta || {});
     sessionManager.persistSession(req.params.id);
     
     // Notify player via socket - ambiguous system message
@@ -225,11 +276,11 @@ app.post('/api/admin/session/:id/push-file', requireAdmin, (req, res) => {
     setTimeout(() => {
       io.to(req.params.id).emit('output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
       broadcastToAdmins(req.params.id, 'terminal_output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
     }, 100);
     
@@ -248,7 +299,7 @@ app.post('/api/admin/session/:id/lock', requireAdmin, (req, res) => {
   }
   
   try {
-    VFSEngine.setLock(session, path, locked !== false);
+    VFSEngine.setLock(networkEngine.view(session, req.body.host), path, locked !== false);
     sessionManager.persistSession(req.params.id);
     
     io.to(req.params.id).emit('system_message', {
@@ -262,11 +313,11 @@ app.post('/api/admin/session/:id/lock', requireAdmin, (req, res) => {
     setTimeout(() => {
       io.to(req.params.id).emit('output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
       broadcastToAdmins(req.params.id, 'terminal_output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
     }, 100);
     
@@ -299,21 +350,21 @@ app.post('/api/admin/session/:id/message', requireAdmin, (req, res) => {
   setTimeout(() => {
     io.to(req.params.id).emit('output', {
       type: 'prompt',
-      content: `${session.currentPath} $ `
+      content: networkEngine.prompt(session)
     });
     broadcastToAdmins(req.params.id, 'terminal_output', {
       type: 'prompt',
-      content: `${session.currentPath} $ `
+      content: networkEngine.prompt(session)
     });
   }, 100);
   
   res.json({ success: true });
 });
 
-// Bulk admin actions
-app.post('/api/admin/bulk/message', requireAdmin, (req, res) => {
+// Bulk admin actions (scoped to one game, see requireGame)
+app.post('/api/admin/bulk/message', requireAdmin, requireGame, (req, res) => {
   const { message } = req.body;
-  const sessions = sessionManager.getAllSessions();
+  const sessions = sessionManager.getGameSessions(req.game.id);
   
   sessions.forEach(session => {
     const sessionObj = sessionManager.getSession(session.id);
@@ -332,11 +383,11 @@ app.post('/api/admin/bulk/message', requireAdmin, (req, res) => {
       setTimeout(() => {
         io.to(session.id).emit('output', {
           type: 'prompt',
-          content: `${sessionObj.currentPath} $ `
+          content: networkEngine.prompt(sessionObj)
         });
         broadcastToAdmins(session.id, 'terminal_output', {
           type: 'prompt',
-          content: `${sessionObj.currentPath} $ `
+          content: networkEngine.prompt(sessionObj)
         });
       }, 100);
     }
@@ -345,16 +396,16 @@ app.post('/api/admin/bulk/message', requireAdmin, (req, res) => {
   res.json({ success: true, count: sessions.length });
 });
 
-app.post('/api/admin/bulk/push-file', requireAdmin, (req, res) => {
+app.post('/api/admin/bulk/push-file', requireAdmin, requireGame, (req, res) => {
   const { path, contents, meta } = req.body;
-  const sessions = sessionManager.getAllSessions();
+  const sessions = sessionManager.getGameSessions(req.game.id);
   const results = [];
   
   sessions.forEach(session => {
     try {
       const sessionObj = sessionManager.getSession(session.id);
       if (sessionObj) {
-        VFSEngine.writeFile(sessionObj, path, contents, meta);
+        VFSEngine.addFile(networkEngine.view(sessionObj), path, contents, meta || {});
         sessionManager.persistSession(session.id);
         
         // Notify player via socket - ambiguous system message
@@ -372,11 +423,11 @@ app.post('/api/admin/bulk/push-file', requireAdmin, (req, res) => {
         setTimeout(() => {
           io.to(session.id).emit('output', {
             type: 'prompt',
-            content: `${sessionObj.currentPath} $ `
+            content: networkEngine.prompt(sessionObj)
           });
           broadcastToAdmins(session.id, 'terminal_output', {
             type: 'prompt',
-            content: `${sessionObj.currentPath} $ `
+            content: networkEngine.prompt(sessionObj)
           });
         }, 100);
         
@@ -390,9 +441,9 @@ app.post('/api/admin/bulk/push-file', requireAdmin, (req, res) => {
   res.json({ success: true, results, count: results.length });
 });
 
-app.post('/api/admin/bulk/freeze', requireAdmin, (req, res) => {
+app.post('/api/admin/bulk/freeze', requireAdmin, requireGame, (req, res) => {
   const { frozen } = req.body;
-  const sessions = sessionManager.getAllSessions();
+  const sessions = sessionManager.getGameSessions(req.game.id);
   
   sessions.forEach(session => {
     const sessionObj = sessionManager.getSession(session.id);
@@ -405,16 +456,16 @@ app.post('/api/admin/bulk/freeze', requireAdmin, (req, res) => {
   res.json({ success: true, frozen, count: sessions.length });
 });
 
-app.post('/api/admin/bulk/lock', requireAdmin, (req, res) => {
+app.post('/api/admin/bulk/lock', requireAdmin, requireGame, (req, res) => {
   const { path, locked } = req.body;
-  const sessions = sessionManager.getAllSessions();
+  const sessions = sessionManager.getGameSessions(req.game.id);
   const results = [];
   
   sessions.forEach(session => {
     try {
       const sessionObj = sessionManager.getSession(session.id);
       if (sessionObj) {
-        VFSEngine.setLock(sessionObj, path, locked !== false);
+        VFSEngine.setLock(networkEngine.view(sessionObj), path, locked !== false);
         sessionManager.persistSession(session.id);
         
         io.to(session.id).emit('system_message', {
@@ -428,11 +479,11 @@ app.post('/api/admin/bulk/lock', requireAdmin, (req, res) => {
         setTimeout(() => {
           io.to(session.id).emit('output', {
             type: 'prompt',
-            content: `${sessionObj.currentPath} $ `
+            content: networkEngine.prompt(sessionObj)
           });
           broadcastToAdmins(session.id, 'terminal_output', {
             type: 'prompt',
-            content: `${sessionObj.currentPath} $ `
+            content: networkEngine.prompt(sessionObj)
           });
         }, 100);
         
@@ -455,18 +506,26 @@ app.post('/api/admin/session/:id/freeze', requireAdmin, (req, res) => {
   }
   
   session.frozen = frozen !== false;
+  sessionManager.persistSession(req.params.id);
   res.json({ success: true, frozen: session.frozen });
 });
 
-app.post('/api/admin/session/:id/ai', requireAdmin, (req, res) => {
-  const { level, status } = req.body;
+app.post('/api/admin/session/:id/ai', requireAdmin, async (req, res) => {
+  const { level, status, event } = req.body;
   const session = sessionManager.getSession(req.params.id);
   
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
   
-  aiEngine.setState(session, level, status);
+  // Either feed the machine an event (e.g. admin_escalate) or set it directly
+  if (event) {
+    await aiEngine.trigger(session, event);
+  } else {
+    await aiEngine.setState(session, level, status);
+  }
+  sessionManager.persistSession(req.params.id);
+  eventBus.prompt(session);
   res.json({ success: true, aiState: session.aiState });
 });
 
@@ -480,7 +539,8 @@ app.post('/api/admin/session/:id/delete', requireAdmin, async (req, res) => {
   }
   
   try {
-    await VFSEngine.delete(session, path);
+    // The GM is not bound by the player's permissions
+    await VFSEngine.delete(networkEngine.view(session, req.body.host), path, { recursive: true, force: true });
     sessionManager.persistSession(req.params.id);
     
     // Check if paths were unlocked
@@ -516,11 +576,11 @@ app.post('/api/admin/session/:id/delete', requireAdmin, async (req, res) => {
     setTimeout(() => {
       io.to(req.params.id).emit('output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
       broadcastToAdmins(req.params.id, 'terminal_output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
     }, 100);
     
@@ -539,7 +599,7 @@ app.post('/api/admin/session/:id/rename', requireAdmin, (req, res) => {
   }
   
   try {
-    const newPath = VFSEngine.rename(session, path, newName);
+    const newPath = VFSEngine.rename(networkEngine.view(session, req.body.host), path, newName);
     sessionManager.persistSession(req.params.id);
     
     // Ambiguous system message
@@ -558,11 +618,11 @@ app.post('/api/admin/session/:id/rename', requireAdmin, (req, res) => {
     setTimeout(() => {
       io.to(req.params.id).emit('output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
       broadcastToAdmins(req.params.id, 'terminal_output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
     }, 100);
     
@@ -581,7 +641,7 @@ app.post('/api/admin/session/:id/move', requireAdmin, (req, res) => {
   }
   
   try {
-    const newPath = VFSEngine.move(session, sourcePath, targetPath);
+    const newPath = VFSEngine.move(networkEngine.view(session, req.body.host), sourcePath, targetPath);
     sessionManager.persistSession(req.params.id);
     
     // Ambiguous system message
@@ -601,11 +661,11 @@ app.post('/api/admin/session/:id/move', requireAdmin, (req, res) => {
     setTimeout(() => {
       io.to(req.params.id).emit('output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
       broadcastToAdmins(req.params.id, 'terminal_output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
     }, 100);
     
@@ -615,85 +675,363 @@ app.post('/api/admin/session/:id/move', requireAdmin, (req, res) => {
   }
 });
 
-// Round control endpoints
-app.post('/api/admin/round/start', requireAdmin, (req, res) => {
-  const count = sessionManager.startRound();
+// Scenario pack endpoints
+app.get('/api/admin/scenarios', requireAdmin, (req, res) => {
+  res.json({ scenarios: scenarioManager.list(), active: scenarioManager.activeScenarioId });
+});
+
+app.post('/api/admin/scenarios/active', requireAdmin, (req, res) => {
+  const { scenarioId } = req.body;
+  try {
+    const pack = scenarioManager.setActive(scenarioId);
+    res.json({ success: true, active: pack.id });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/scenarios/reload', requireAdmin, (req, res) => {
+  scenarioManager.reload();
+  res.json({ success: true, scenarios: scenarioManager.list() });
+});
+
+// Puzzle endpoints (scenarioId defaults to the active pack)
+app.get('/api/admin/puzzles/progress', requireAdmin, (req, res) => {
+  const progress = sessionManager.getAllSessions()
+    .map(({ id }) => sessionManager.getSession(id))
+    .filter(Boolean)
+    .map(session => ({
+      sessionId: session.id,
+      username: session.username,
+      scenarioId: session.scenarioId,
+      puzzles: puzzleEngine.getProgress(session)
+    }));
+  res.json({ progress });
+});
+
+app.get('/api/admin/puzzles', requireAdmin, (req, res) => {
+  const scenarioId = req.query.scenarioId || scenarioManager.activeScenarioId;
+  try {
+    res.json({ scenarioId, puzzles: puzzleEngine.getPuzzles(scenarioId) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/puzzles/reload', requireAdmin, (req, res) => {
+  puzzleEngine.reload();
+  const scenarioId = req.body?.scenarioId || scenarioManager.activeScenarioId;
+  try {
+    res.json({ success: true, scenarioId, puzzles: puzzleEngine.getPuzzles(scenarioId) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/puzzles/test', requireAdmin, (req, res) => {
+  const { sessionId, puzzle, event } = req.body;
+  const session = sessionManager.getSession(sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
   
-  // Notify all sessions
-  const sessions = sessionManager.getAllSessions();
-  sessions.forEach(session => {
-    const sessionObj = sessionManager.getSession(session.id);
-    if (sessionObj) {
-      io.to(session.id).emit('round_started', {
-        message: '[SYSTEM] System bypass complete. Access granted.'
-      });
-      
-      io.to(session.id).emit('output', {
-        type: 'system',
-        content: '\n[SYSTEM] System bypass complete. Access granted.\n'
-      });
-      
-      setTimeout(() => {
-        io.to(session.id).emit('output', {
-          type: 'prompt',
-          content: `${sessionObj.currentPath} $ `
-        });
-      }, 100);
+  try {
+    PuzzleSchema.validate(puzzle);
+    res.json({ success: true, report: puzzleEngine.testPuzzle(session, puzzle, event || {}) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/puzzles/:id', requireAdmin, (req, res) => {
+  const scenarioId = req.query.scenarioId || scenarioManager.activeScenarioId;
+  try {
+    res.json({ scenarioId, puzzle: puzzleEngine.getPuzzle(scenarioId, req.params.id) });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/puzzles', requireAdmin, (req, res) => {
+  const { puzzle } = req.body;
+  const scenarioId = req.body.scenarioId || scenarioManager.activeScenarioId;
+  try {
+    if (puzzleEngine.getPuzzles(scenarioId).some(p => p.id === puzzle?.id)) {
+      return res.status(409).json({ error: `Puzzle already exists: ${puzzle.id}` });
     }
-  });
+    res.json({ success: true, puzzle: scenarioManager.savePuzzle(scenarioId, puzzle) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put('/api/admin/puzzles/:id', requireAdmin, (req, res) => {
+  const { puzzle } = req.body;
+  const scenarioId = req.body.scenarioId || scenarioManager.activeScenarioId;
+  if (puzzle?.id !== req.params.id) {
+    return res.status(400).json({ error: 'Puzzle id does not match the URL' });
+  }
+  
+  try {
+    puzzleEngine.getPuzzle(scenarioId, req.params.id);
+  } catch (err) {
+    return res.status(404).json({ error: err.message });
+  }
   
-  res.json({ success: true, count });
+  try {
+    res.json({ success: true, puzzle: scenarioManager.savePuzzle(scenarioId, puzzle) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
 });
 
-app.post('/api/admin/round/end', requireAdmin, (req, res) => {
-  const count = sessionManager.endRound();
+app.delete('/api/admin/puzzles/:id', requireAdmin, (req, res) => {
+  const scenarioId = req.query.scenarioId || scenarioManager.activeScenarioId;
+  try {
+    scenarioManager.deletePuzzle(scenarioId, req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/session/:id/puzzles/:puzzleId/solve', requireAdmin, async (req, res) => {
+  const session = sessionManager.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
   
-  // Notify all sessions
-  const sessions = sessionManager.getAllSessions();
+  try {
+    await puzzleEngine.markSolved(session, req.params.puzzleId);
+    sessionManager.persistSession(session.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/session/:id/puzzles/:puzzleId/reset', requireAdmin, (req, res) => {
+  const session = sessionManager.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  try {
+    puzzleEngine.resetPuzzle(session, req.params.puzzleId);
+    sessionManager.persistSession(session.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Process table of the host the player is on
+app.get('/api/admin/session/:id/processes', requireAdmin, (req, res) => {
+  const session = sessionManager.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  try {
+    res.json({ host: session.network?.host || null, processes: processEngine.list(session) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/session/:id/processes', requireAdmin, (req, res) => {
+  const session = sessionManager.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  try {
+    const process = processEngine.spawn(session, req.body || {});
+    sessionManager.persistSession(session.id);
+    res.json({ success: true, process });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/session/:id/processes/:pid/kill', requireAdmin, async (req, res) => {
+  const session = sessionManager.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  try {
+    // The GM's kill has the same consequences as the player's
+    const process = await processEngine.kill(session, req.params.pid, { force: true });
+    sessionManager.persistSession(session.id);
+    eventBus.prompt(session);
+    res.json({ success: true, process });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+// Game endpoints: each game is a table with its own join code, pack and round
+app.get('/api/admin/games', requireAdmin, (req, res) => {
+  const games = gameManager.listGames().map(game => ({
+    ...game,
+    players: sessionManager.getGameSessions(game.id).length,
+    clock: roundClock.status(game.id)
+  }));
+  res.json({ games });
+});
+
+app.post('/api/admin/games', requireAdmin, (req, res) => {
+  const { name, scenarioId } = req.body || {};
+  try {
+    const game = gameManager.createGame(name, scenarioId);
+    res.json({ success: true, game });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/admin/games/:id', requireAdmin, (req, res) => {
+  let game;
+  try {
+    game = gameManager.endGame(req.params.id);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  // Players at a closed table are logged out; they rejoin with another code
+  const sessions = sessionManager.getGameSessions(game.id);
   sessions.forEach(session => {
-    const sessionObj = sessionManager.getSession(session.id);
-    if (sessionObj) {
-      io.to(session.id).emit('round_ended', {
-        message: '[SYSTEM] Round ended. Returning to waiting room.'
-      });
-      
-      io.to(session.id).emit('output', {
-        type: 'system',
-        content: '\n[SYSTEM] Round ended. Returning to waiting room.\n'
-      });
+    eventBus.notify(session.id, `[SYSTEM] ${game.name} has closed. Disconnecting...`);
+    eventBus.toSession(session.id, 'logout', { reason: 'game_closed' });
+    sessionManager.destroySession(session.id);
+  });
+
+  res.json({ success: true, count: sessions.length });
+});
+
+// Round control endpoints (scoped to one game, see requireGame)
+app.post('/api/admin/round/start', requireAdmin, requireGame, (req, res) => {
+  const { scenarioId, duration, phases, onExpire } = req.body || {};
+  const game = req.game;
+  let clock;
+  try {
+    if (scenarioId) {
+      gameManager.setScenario(game.id, scenarioId);
     }
+    // Duration and phase deadlines are optional; without them the round is untimed
+    clock = roundClock.configure({ duration, phases, onExpire }, game.scenarioId);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const count = sessionManager.startRound(game.id);
+  if (clock) {
+    roundClock.start(game.id, clock);
+  }
+  const scenario = scenarioInfo(game.scenarioId);
+  
+  // Notify the game's sessions
+  sessionManager.getGameSessions(game.id).forEach(sessionObj => {
+    io.to(sessionObj.id).emit('round_started', {
+      message: '[SYSTEM] System bypass complete. Access granted.',
+      scenario
+    });
+    
+    io.to(sessionObj.id).emit('output', {
+      type: 'system',
+      content: '\n[SYSTEM] System bypass complete. Access granted.\n'
+    });
+    
+    setTimeout(() => {
+      io.to(sessionObj.id).emit('output', {
+        type: 'prompt',
+        content: networkEngine.prompt(sessionObj)
+      });
+    }, 100);
   });
   
-  res.json({ success: true, count });
+  res.json({ success: true, count, gameId: game.id, scenarioId: scenario.id, clock: roundClock.status(game.id) });
 });
 
-app.get('/api/admin/round/status', requireAdmin, (req, res) => {
-  const sessions = sessionManager.getAllSessions();
+app.post('/api/admin/round/end', requireAdmin, requireGame, (req, res) => {
+  const game = req.game;
+  roundClock.stop(game.id);
+  const count = sessionManager.endRound(game.id);
+  
+  // Notify the game's sessions
+  sessionManager.getGameSessions(game.id).forEach(sessionObj => {
+    io.to(sessionObj.id).emit('round_ended', {
+      message: '[SYSTEM] Round ended. Returning to waiting room.'
+    });
+    
+    io.to(sessionObj.id).emit('output', {
+      type: 'system',
+      content: '\n[SYSTEM] Round ended. Returning to waiting room.\n'
+    });
+  });
+  
+  res.json({ success: true, count, gameId: game.id });
+});
+
+app.get('/api/admin/round/status', requireAdmin, requireGame, (req, res) => {
+  const game = req.game;
+  const sessions = sessionManager.getGameSessions(game.id);
   const waitingCount = sessions.filter(s => s.waitingRoom).length;
   const startedCount = sessions.filter(s => s.roundStarted).length;
-  const globalRoundStarted = sessionManager.getGlobalRoundStatus();
   
   res.json({
+    gameId: game.id,
     total: sessions.length,
     waiting: waitingCount,
     started: startedCount,
     allStarted: waitingCount === 0 && sessions.length > 0,
-    globalRoundStarted
+    roundStarted: game.roundStarted,
+    scenarioId: game.scenarioId,
+    clock: roundClock.status(game.id)
   });
 });
 
+// Round clock controls
+app.post('/api/admin/round/pause', requireAdmin, requireGame, (req, res) => {
+  try {
+    roundClock.pause(req.game.id);
+    res.json({ success: true, clock: roundClock.status(req.game.id) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/round/resume', requireAdmin, requireGame, (req, res) => {
+  try {
+    roundClock.resume(req.game.id);
+    res.json({ success: true, clock: roundClock.status(req.game.id) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/round/extend', requireAdmin, requireGame, (req, res) => {
+  try {
+    roundClock.extend(req.game.id, req.body?.seconds);
+    res.json({ success: true, clock: roundClock.status(req.game.id) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
   
-    socket.on('join_session', async ({ sessionId }) => {
+  socket.on('join_session', async ({ sessionId }) => {
     const session = sessionManager.getSession(sessionId);
     if (!session) {
       return;
     }
     
-    // Check global round status and sync session
-    if (sessionManager.getGlobalRoundStatus()) {
+    // Check the game's round status and sync session
+    if (sessionManager.isRoundStarted(session.gameId)) {
       session.waitingRoom = false;
       session.roundStarted = true;
       sessionManager.persistSession(sessionId);
@@ -701,9 +1039,14 @@ io.on('connection', (socket) => {
     }
     
     socket.join(sessionId);
+    socket.join(`game:${session.gameId}`);
     socket.sessionId = sessionId;
     socket.session = session;
     
+    // Initialise the player's trace HUD and round clock
+    socket.emit('ai_state', aiEngine.snapshot(session));
+    socket.emit('round_tick', { gameId: session.gameId, ...roundClock.status(session.gameId) });
+    
     // Handle typing updates from players
     socket.on('typing_update', ({ sessionId: updateSessionId, typing, isCommand }) => {
       if (updateSessionId === sessionId) {
@@ -720,22 +1063,22 @@ io.on('connection', (socket) => {
       type: 'system',
       content: `\n[SYSTEM] Connected to session ${sessionId.substring(0, 8)}...\n`
     });
-      // Broadcast to admins
-      broadcastToAdmins(sessionId, 'terminal_output', {
-        type: 'system',
-        content: `\n[SYSTEM] Connected to session ${sessionId.substring(0, 8)}...\n`
-      });
+    // Broadcast to admins
+    broadcastToAdmins(sessionId, 'terminal_output', {
+      type: 'system',
+      content: `\n[SYSTEM] Connected to session ${sessionId.substring(0, 8)}...\n`
+    });
     
     // Send current directory prompt
     setTimeout(() => {
       socket.emit('output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
       // Broadcast to admins
       broadcastToAdmins(sessionId, 'terminal_output', {
         type: 'prompt',
-        content: `${session.currentPath} $ `
+        content: networkEngine.prompt(session)
       });
     }, 100);
   });
@@ -767,12 +1110,21 @@ io.on('connection', (socket) => {
       timestamp: new Date().toISOString()
     });
     
+    // A pending security challenge takes the next input as its answer
+    if (session.aiState.challenge) {
+      await aiEngine.validateChallenge(session, command);
+      sessionManager.persistSession(session.id);
+      eventBus.prompt(session);
+      return;
+    }
+    
     // Parse and execute command
     const parsed = CommandParser.parse(command);
     const result = await CommandParser.execute(session, parsed);
+    const executed = CommandParser.commands(parsed);
     
     // Check if paths were unlocked (for rm/delete commands)
-    if (parsed && (parsed.command === 'rm' || parsed.command === 'delete') && session.meta?.recentlyUnlockedSessions) {
+    if (executed.some(c => c.command === 'rm' || c.command === 'delete') && session.meta?.recentlyUnlockedSessions) {
       const unlockedSessions = session.meta.recentlyUnlockedSessions;
       const unlockedPaths = session.meta.recentlyUnlockedPaths || [];
       
@@ -805,7 +1157,18 @@ io.on('connection', (socket) => {
     sessionManager.updateActivity(session.id);
     
     // Send output to player
-    if (result.clear) {
+    if (result.editor) {
+      // The player's terminal switches to the editor; admins see a note
+      if (result.output) {
+        socket.emit('output', { type: 'stdout', content: result.output });
+        broadcastToAdmins(session.id, 'terminal_output', { type: 'stdout', content: result.output });
+      }
+      socket.emit('editor_open', result.editor);
+      broadcastToAdmins(session.id, 'terminal_output', {
+        type: 'system',
+        content: `[editing ${result.editor.path}]\n`
+      });
+    } else if (result.clear) {
       socket.emit('clear');
       // Also broadcast to admins
       broadcastToAdmins(session.id, 'terminal_output', {
@@ -823,50 +1186,24 @@ io.on('connection', (socket) => {
       });
     }
     
-    // Check for AI messages (only on actual sudo hack commands, not just "hack")
-    if (parsed && parsed.command === 'sudo' && parsed.args[0] === 'hack') {
-      const aiMsg = await aiEngine.trigger(session, 'suspicious_command', { command });
-      if (aiMsg) {
-        socket.emit('output', {
-          type: 'ai',
-          content: aiMsg.message + '\n'
-        });
-        // Broadcast to admins
-        broadcastToAdmins(session.id, 'terminal_output', {
-          type: 'ai',
-          content: aiMsg.message + '\n'
-        });
-        
-        // If trace reached 100%, logout after 5 seconds
-        if (aiMsg.shouldLogout) {
-          setTimeout(() => {
-            socket.emit('output', {
-              type: 'system',
-              content: '\n[SYSTEM] Connection terminated by security protocol.\n'
-            });
-            broadcastToAdmins(session.id, 'terminal_output', {
-              type: 'system',
-              content: '\n[SYSTEM] Connection terminated by security protocol.\n'
-            });
-            socket.emit('logout', { reason: 'trace_complete' });
-            setTimeout(() => {
-              socket.disconnect(true);
-            }, 1000);
-          }, 5000);
-        }
-      }
-    }
+    // Measure the noise of what just ran on the trace meter
+    await traceEngine.assess(session, result.activity);
     
-    // Send prompt
-    socket.emit('output', {
-      type: 'prompt',
-      content: `${session.currentPath} $ `
-    });
-    // Broadcast prompt to admins
-    broadcastToAdmins(session.id, 'terminal_output', {
-      type: 'prompt',
-      content: `${session.currentPath} $ `
-    });
+    // Save puzzle, AI and filesystem state so a restart can rehydrate it
+    sessionManager.persistSession(session.id);
+    
+    // Send prompt (the editor asks for it when it closes)
+    if (!result.editor) {
+      socket.emit('output', {
+        type: 'prompt',
+        content: networkEngine.prompt(session)
+      });
+      // Broadcast prompt to admins
+      broadcastToAdmins(session.id, 'terminal_output', {
+        type: 'prompt',
+        content: networkEngine.prompt(session)
+      });
+    }
     
     // Notify admin of activity
     io.to('admin').emit('session_activity', {
@@ -876,6 +1213,49 @@ io.on('connection', (socket) => {
     });
   });
   
+  // Save a file from the player's editor
+  socket.on('editor_save', async ({ contents } = {}) => {
+    if (!socket.session) {
+      socket.emit('error', { message: 'Not connected to a session' });
+      return;
+    }
+    
+    const session = socket.session;
+    let path = session.editing?.path;
+    let error = null;
+    if (session.frozen) {
+      error = 'Terminal is frozen by administrator';
+    } else if (session.aiState.challenge) {
+      // The challenge takes the player's next command; saves wait for it
+      error = 'Security challenge pending. Exit the editor and answer it first';
+    } else {
+      try {
+        path = await CommandParser.saveEdit(session, contents);
+      } catch (err) {
+        error = err.message;
+      }
+      await traceEngine.assess(session, [{ command: 'save', args: [path], error }]);
+      sessionManager.updateActivity(session.id);
+      sessionManager.persistSession(session.id);
+    }
+    
+    socket.emit('editor_saved', { path, error });
+    broadcastToAdmins(session.id, 'terminal_output', {
+      type: error ? 'error' : 'system',
+      content: error ? `[save failed: ${error}]\n` : `[saved ${path}]\n`
+    });
+  });
+  
+  // The player left the editor: back to the shell prompt
+  socket.on('editor_close', () => {
+    if (!socket.session) return;
+    
+    delete socket.session.editing;
+    const prompt = networkEngine.prompt(socket.session);
+    socket.emit('output', { type: 'prompt', content: prompt });
+    broadcastToAdmins(socket.session.id, 'terminal_output', { type: 'prompt', content: prompt });
+  });
+  
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
     if (socket.session) {
@@ -890,6 +1270,37 @@ function broadcastToAdmins(sessionId, event, data) {
   adminNamespace.to(`session:${sessionId}`).emit(event, { ...data, sessionId });
 }
 
+// Relay service events (puzzle effects, timers) to players and admin viewers
+eventBus.on('session_event', ({ sessionId, event, data }) => {
+  io.to(sessionId).emit(event, data);
+  
+  // Admin terminals mirror terminal output; other events keep their name.
+  // Puzzle progress and trace feed dashboard panels, so every admin receives them
+  if (event.startsWith('puzzle_') || event === 'ai_state') {
+    io.of('/admin').to('admin').to(`session:${sessionId}`).emit(event, { ...data, sessionId });
+  } else if (event === 'output') {
+    broadcastToAdmins(sessionId, 'terminal_output', data);
+  } else if (event === 'logout') {
+    broadcastToAdmins(sessionId, event, data);
+    setTimeout(() => io.in(sessionId).disconnectSockets(true), 1000);
+  } else if (event === 'system_message') {
+    broadcastToAdmins(sessionId, 'terminal_output', { type: 'system', content: `${data.message}\n` });
+  } else {
+    broadcastToAdmins(sessionId, event, data);
+  }
+});
+
+// A game's round clock goes to its players and every admin
+eventBus.on('round_tick', (data) => {
+  io.to(`game:${data.gameId}`).emit('round_tick', data);
+  io.of('/admin').to('admin').emit('round_tick', data);
+});
+
+// GM alerts (e.g. sprung tripwires) go to every admin, never to the player
+eventBus.on('gm_alert', (data) => {
+  io.of('/admin').to('admin').emit('gm_alert', data);
+});
+
 // Admin socket namespace
 io.of('/admin').on('connection', (socket) => {
   console.log('Admin connected:', socket.id);
@@ -906,8 +1317,18 @@ io.of('/admin').on('connection', (socket) => {
   });
 });
 
+// Restore games and sessions that were in progress before a restart
+const rehydrated = sessionManager.rehydrate();
+roundClock.restore();
+
+// Let the security AI act on its own between player commands
+aiEngine.start();
+
 const PORT = process.env.PORT || 3010;
 httpServer.listen(PORT, () => {
   console.log(`🚀 Neon Rain backend server running on port ${PORT}`);
   console.log(`📁 Database: ${db.name}`);
+  if (rehydrated > 0) {
+    console.log(`♻️  Rehydrated ${rehydrated} session${rehydrated === 1 ? '' : 's'}`);
+  }
 });
@@ -1,68 +1,459 @@
 /**
  * AI Engine (Security AI)
- * Reactive state machine that responds to player actions
+ * Data-driven state machine: events and scheduler ticks move the alert level,
+ * transitions change state and states run actions against the session.
+ * A pack's ai.json overrides the default machine (see QUICKSTART.md).
  */
 
+import scenarioManager from './scenarioManager.js';
+import sessionManager from './sessionManager.js';
+import puzzleEngine from './puzzleEngine.js';
+import networkEngine from './networkEngine.js';
+import eventBus from './eventBus.js';
+import { VFSEngine } from './vfsEngine.js';
+
+const MAX_LEVEL = 10;
+const TRACE_PER_LEVEL = 10; // the trace meter runs 0-100, one level per 10%
+const SCHEDULER_INTERVAL = 1000;
+
+// Fallback lines when a scenario pack's ai.json does not override them
+const defaultMessages = {
+  suspicious_command: '[SECURITY] Unauthorized access attempt detected. Trace: {trace}%',
+  trace_complete: '[SECURITY] CRITICAL: Trace complete. Identity compromised.\n[SECURITY] Initiating emergency lockdown protocol...\n[SECURITY] Terminal access will be terminated.',
+  failed_puzzle: '[SECURITY] Failed authentication detected. Security level increased.',
+  admin_escalate: '[SECURITY] CRITICAL ALERT: System integrity compromised. Initiating countermeasures...',
+  tripwire: '[SECURITY] Tripwire triggered at {path}. Trace: {trace}%',
+  watchdog_killed: '[SECURITY] Watchdog {process} stopped responding. Trace resumed at {trace}%.',
+  challenge: '[SECURITY CHALLENGE] {question}\nType your answer to continue ({seconds}s).',
+  challenge_passed: '[SECURITY] Challenge passed. Security level decreased.',
+  challenge_failed: '[SECURITY] Incorrect answer. Security level increased.',
+  challenge_timeout: '[SECURITY] Challenge timed out. Security level increased.'
+};
+
+// Challenge settings when a pack's ai.json has no `challenges` section
+const defaultChallengeConfig = {
+  thresholds: [],
+  timeoutSeconds: 60,
+  pass: { level: -2, message: 'challenge_passed' },
+  fail: { level: 1, message: 'challenge_failed' },
+  timeout: { level: 2, message: 'challenge_timeout' },
+  bank: [
+    {
+      question: 'What is the answer to life, the universe, and everything?',
+      answer: '42'
+    },
+    {
+      question: 'What comes after 2, 3, 5, 7, 11?',
+      answer: '13'
+    }
+  ]
+};
+
+// Machine used for any part a pack's ai.json leaves out
+const defaultMachine = {
+  initial: 'idle',
+  tickSeconds: 15,
+  events: {
+    suspicious_command: { level: 2, message: 'suspicious_command' },
+    failed_puzzle: { level: 1, message: 'failed_puzzle' },
+    admin_escalate: { level: 3, message: 'admin_escalate', state: 'alarm' },
+    tripwire: { level: 2, message: 'tripwire' },
+    watchdog_killed: { level: 3, message: 'watchdog_killed', state: 'alarm' }
+  },
+  states: {
+    idle: {},
+    probing: {},
+    alarm: {},
+    lockdown: {
+      onEnter: [
+        { action: 'sendMessage', message: 'trace_complete' },
+        { action: 'disconnect', seconds: 5, reason: 'trace_complete' }
+      ]
+    }
+  },
+  transitions: [
+    { from: '*', to: 'lockdown', minLevel: MAX_LEVEL },
+    { from: 'idle', to: 'probing', minLevel: 1 },
+    { from: 'probing', to: 'alarm', minLevel: 5 },
+    { from: ['probing', 'alarm'], to: 'idle', maxLevel: 2 }
+  ]
+};
+
 class AIEngine {
+  constructor() {
+    this.lastTicks = new Map(); // sessionId -> time of the last tick
+    this.scheduler = null;
+    this.ticking = false;
+    
+    // Puzzle outcomes and alert effects feed the machine
+    eventBus.on('session_event', ({ sessionId, event, data }) => {
+      const session = sessionManager.getSession(sessionId);
+      if (!session) return;
+      const eventType = { puzzle_failed: 'failed_puzzle', puzzle_solved: 'puzzle_solved' }[event];
+      // A wrong decrypt key is already on the trace meter (see traceEngine)
+      if (!eventType || data?.wrongKey) return;
+      // Wait until the puzzle message itself has been relayed
+      queueMicrotask(() => {
+        this.trigger(session, eventType).catch(err => console.warn('AI trigger failed:', err.message));
+      });
+    });
+    eventBus.on('ai_adjust', ({ session, delta }) => {
+      this.adjustLevel(session, delta).catch(err => console.warn('AI adjust failed:', err.message));
+    });
+    eventBus.on('session_reset', ({ sessionId }) => this.lastTicks.delete(sessionId));
+  }
+
   /**
-   * Trigger AI response
+   * Get the session's machine definition, merged over the default
    */
-  async trigger(session, eventType, data) {
-    const state = session.aiState;
+  getMachine(session) {
+    let ai = {};
+    try {
+      ai = scenarioManager.get(session.scenarioId).ai || {};
+    } catch (err) {
+      console.warn('Failed to load scenario AI:', err.message);
+    }
+    return {
+      initial: ai.initial || defaultMachine.initial,
+      tickSeconds: ai.tickSeconds || defaultMachine.tickSeconds,
+      events: { ...defaultMachine.events, ...ai.events },
+      states: { ...defaultMachine.states, ...ai.states },
+      transitions: ai.transitions || defaultMachine.transitions
+    };
+  }
+
+  /**
+   * Apply an event (suspicious_command, failed_puzzle, puzzle_solved,
+   * admin_escalate, tripwire, watchdog_killed or any event a
+   * pack defines) to the session's AI
+   */
+  async trigger(session, eventType, data = {}) {
+    const machine = this.getMachine(session);
+    const event = machine.events[eventType];
+    if (!event) return null;
     
-    switch (eventType) {
-      case 'suspicious_command':
-        state.level = Math.min(state.level + 2, 10);
-        if (state.status === 'idle') {
-          state.status = 'probing';
-        }
-        // Trace percentage based on AI level (0-10 maps to roughly 0-100%)
-        // Add some randomness but make it scale with level
-        const baseTrace = state.level * 10;
-        const randomVariation = Math.floor(Math.random() * 20) - 10; // -10 to +10
-        const tracePercent = Math.max(0, Math.min(100, baseTrace + randomVariation));
-        
-        // Special behavior at maximum level (100% trace)
-        if (state.level >= 10) {
-          state.status = 'alarm';
-          return {
-            ...this.sendMessage(session, `[SECURITY] CRITICAL: Trace complete. Identity compromised.\n[SECURITY] Initiating emergency lockdown protocol...\n[SECURITY] Terminal access will be terminated.`),
-            shouldLogout: true
-          };
+    const previous = session.aiState.level;
+    this.setLevel(session, previous + (event.level || 0));
+    if (event.message) {
+      this.say(session, event.message, data);
+    }
+    this.checkThresholds(session, previous);
+    await this.runActions(session, event.actions, data);
+    
+    if (event.state && event.state !== session.aiState.status) {
+      await this.enterState(session, event.state, machine);
+    }
+    await this.evaluate(session, machine, eventType);
+    this.emitState(session);
+    return session.aiState;
+  }
+
+  /**
+   * Raise or lower the alert level, then follow any transition it causes
+   */
+  async adjustLevel(session, delta) {
+    const previous = session.aiState.level;
+    this.setLevel(session, previous + delta);
+    this.checkThresholds(session, previous);
+    await this.evaluate(session, this.getMachine(session));
+    this.emitState(session);
+  }
+
+  /**
+   * Add heat to the trace meter (see traceEngine). The alert level follows
+   * the meter, so crossing a multiple of 10% moves the machine.
+   */
+  async addTrace(session, amount, sources = []) {
+    // Nothing reports to the AI while its watchdog is down
+    if (session.aiState.tracePause) return;
+    
+    const previous = session.aiState.level;
+    session.aiState.trace = Math.max(0, Math.min(this.getTrace(session) + amount, MAX_LEVEL * TRACE_PER_LEVEL));
+    session.aiState.level = Math.floor(session.aiState.trace / TRACE_PER_LEVEL);
+    
+    this.checkThresholds(session, previous);
+    await this.evaluate(session, this.getMachine(session));
+    this.emitState(session, sources);
+  }
+
+  /**
+   * Get the trace meter (0-100), derived from the level for older saves
+   */
+  getTrace(session) {
+    return session.aiState.trace ?? session.aiState.level * TRACE_PER_LEVEL;
+  }
+
+  /**
+   * Advance the session's AI by one scheduler tick: apply the state's level
+   * drift, roll its patrol actions and follow transitions.
+   * Returns { changed, acted }: whether the level or state moved and whether
+   * any actions ran (which may have printed to the terminal).
+   */
+  async tick(session) {
+    const machine = this.getMachine(session);
+    const state = machine.states[session.aiState.status] || {};
+    const ticks = session.aiState.ticks = (session.aiState.ticks || 0) + 1;
+    const before = { ...session.aiState };
+    
+    if (state.tick && !session.aiState.tracePause && ticks % (state.tick.every || 1) === 0) {
+      this.setLevel(session, before.level + (state.tick.level || 0));
+      this.checkThresholds(session, before.level);
+    }
+    
+    let acted = false;
+    for (const patrol of state.patrol || []) {
+      if (ticks % (patrol.every || 1) !== 0) continue;
+      if (patrol.chance !== undefined && Math.random() >= patrol.chance) continue;
+      await this.runActions(session, patrol.actions);
+      acted = true;
+    }
+    
+    await this.evaluate(session, machine);
+    const changed = before.level !== session.aiState.level || before.status !== session.aiState.status;
+    if (changed) {
+      this.emitState(session);
+    }
+    if (before.status !== session.aiState.status) {
+      acted = acted || !!machine.states[session.aiState.status]?.onEnter?.length;
+    }
+    return { changed, acted };
+  }
+
+  /**
+   * Follow the first matching transition until the state settles
+   */
+  async evaluate(session, machine, eventType = null) {
+    // A bounded number of hops guards against transition cycles in pack data
+    for (let hop = 0; hop < 5; hop++) {
+      const { level, status } = session.aiState;
+      const transition = machine.transitions.find(t =>
+        t.to !== status &&
+        (t.from === '*' || [].concat(t.from).includes(status)) &&
+        (t.minLevel === undefined || level >= t.minLevel) &&
+        (t.maxLevel === undefined || level <= t.maxLevel) &&
+        (t.event === undefined || t.event === eventType)
+      );
+      if (!transition) return;
+      await this.enterState(session, transition.to, machine);
+    }
+  }
+
+  /**
+   * Switch state and run its onEnter actions
+   */
+  async enterState(session, status, machine) {
+    session.aiState.status = status;
+    session.aiState.ticks = 0;
+    await this.runActions(session, machine.states[status]?.onEnter);
+  }
+
+  /**
+   * Run state or event actions through the puzzle effect system. `message`
+   * may name an entry of the pack's AI messages, and targets may use
+   * {cwd} (skipped at /) or {randomFile} (a file below the current directory).
+   * The `issueChallenge` action starts a challenge from the pack's bank.
+   */
+  async runActions(session, actions = [], vars = {}) {
+    for (const action of actions) {
+      if (action.action === 'issueChallenge') {
+        this.issueChallenge(session);
+        continue;
+      }
+      
+      const effect = { style: 'ai', ...action };
+      if (effect.message) {
+        effect.message = this.getMessage(session, effect.message, vars, effect.message);
+      }
+      if (typeof effect.target === 'string') {
+        // Targets are picked on the player's own machine, where the effect lands
+        effect.target = this.resolveTarget(networkEngine.view(session, effect.host), effect.target);
+        if (!effect.target) continue;
+      }
+      await puzzleEngine.executeEffect(session, effect);
+    }
+  }
+
+  /**
+   * Expand target placeholders; returns null when nothing matches
+   */
+  resolveTarget(session, target) {
+    if (target === '{cwd}') {
+      return session.currentPath === '/' ? null : session.currentPath;
+    }
+    if (target === '{randomFile}') {
+      const files = [];
+      const walk = (node, path) => {
+        if (node.type === 'file') {
+          files.push(path);
+        } else {
+          Object.entries(node.children || {}).forEach(([name, child]) => {
+            walk(child, path === '/' ? `/${name}` : `${path}/${name}`);
+          });
         }
-        
-        // Escalate to alarm at level 5+
-        if (state.level >= 5 && state.status === 'probing') {
-          state.status = 'alarm';
+      };
+      const cwd = VFSEngine.getNode(session.fs, session.currentPath);
+      if (cwd) walk(cwd, session.currentPath);
+      return files.length > 0 ? files[Math.floor(Math.random() * files.length)] : null;
+    }
+    return target;
+  }
+
+  /**
+   * Set the alert level, clamped to 0..MAX_LEVEL. The trace meter moves to
+   * the new level's band, keeping its progress within an unchanged level.
+   */
+  setLevel(session, level) {
+    const clamped = Math.max(0, Math.min(level, MAX_LEVEL));
+    if (clamped !== Math.floor(this.getTrace(session) / TRACE_PER_LEVEL)) {
+      session.aiState.trace = clamped * TRACE_PER_LEVEL;
+    }
+    session.aiState.level = clamped;
+  }
+
+  /**
+   * Issue a challenge if the level rose past one of the pack's thresholds
+   */
+  checkThresholds(session, previous) {
+    const { thresholds } = this.getChallengeConfig(session);
+    if (thresholds.some(t => previous < t && session.aiState.level >= t)) {
+      this.issueChallenge(session);
+    }
+  }
+
+  /**
+   * Print an AI message in the player's terminal
+   */
+  say(session, key, vars = {}) {
+    eventBus.notify(session.id, this.getMessage(session, key, vars, key), 'ai');
+  }
+
+  /**
+   * Send the AI's trace, level and state to the player's HUD and the admin
+   * dashboard. `sources` names what raised the trace, if anything.
+   */
+  emitState(session, sources = []) {
+    eventBus.toSession(session.id, 'ai_state', this.snapshot(session, sources));
+  }
+
+  /**
+   * The AI state as shown on the HUD and dashboard
+   */
+  snapshot(session, sources = []) {
+    return {
+      trace: Math.round(this.getTrace(session)),
+      level: session.aiState.level,
+      status: session.aiState.status,
+      paused: !!session.aiState.tracePause,
+      sources
+    };
+  }
+
+  /**
+   * Start the scheduler that ticks every session in a running round
+   */
+  start() {
+    if (this.scheduler) return;
+    this.scheduler = setInterval(() => this.runScheduler(), SCHEDULER_INTERVAL);
+    this.scheduler.unref();
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    clearInterval(this.scheduler);
+    this.scheduler = null;
+  }
+
+  /**
+   * Tick every session whose tick interval has passed. Skips a run while the
+   * previous one is still applying actions.
+   */
+  async runScheduler() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      await this.tickDueSessions(Date.now());
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async tickDueSessions(now) {
+    for (const { id } of sessionManager.getAllSessions()) {
+      const session = sessionManager.getSession(id);
+      if (!session || !session.roundStarted || session.frozen) continue;
+      
+      try {
+        if (await this.checkWatchdog(session, now)) {
+          sessionManager.persistSession(id);
+          eventBus.prompt(session);
         }
-        
-        return this.sendMessage(session, `[SECURITY] Unauthorized access attempt detected. Trace: ${tracePercent}%`);
+      } catch (err) {
+        console.warn(`AI watchdog check failed for session ${id}:`, err.message);
+      }
       
-      case 'failed_puzzle':
-        state.level = Math.min(state.level + 1, 10);
-        if (state.level >= 5 && state.status === 'probing') {
-          state.status = 'alarm';
+      try {
+        if (await this.checkChallenge(session, now)) {
+          sessionManager.persistSession(id);
+          eventBus.prompt(session);
         }
-        return this.sendMessage(session, `[SECURITY] Failed authentication detected. Security level increased.`);
+      } catch (err) {
+        console.warn(`AI challenge check failed for session ${id}:`, err.message);
+      }
       
-      case 'admin_escalate':
-        state.level = Math.min(state.level + 3, 10);
-        state.status = 'alarm';
-        return this.sendMessage(session, `[SECURITY] CRITICAL ALERT: System integrity compromised. Initiating countermeasures...`);
+      const interval = this.getMachine(session).tickSeconds * 1000;
+      const last = this.lastTicks.get(id);
+      if (last === undefined) {
+        this.lastTicks.set(id, now);
+        continue;
+      }
+      if (now - last < interval) continue;
+      this.lastTicks.set(id, now);
+      
+      try {
+        const { changed, acted } = await this.tick(session);
+        if (changed || acted) {
+          sessionManager.persistSession(id);
+        }
+        if (acted) {
+          eventBus.prompt(session);
+        }
+      } catch (err) {
+        console.warn(`AI tick failed for session ${id}:`, err.message);
+      }
     }
-    
-    return null;
   }
 
   /**
-   * Send AI message (returns message to be sent via socket)
+   * Get a message from the session's scenario personality, filling {placeholders}.
+   * Unknown keys fall back to `fallback` (used for literal action messages).
    */
-  sendMessage(session, message) {
-    return {
-      type: 'ai_message',
-      message,
-      timestamp: new Date().toISOString()
+  getMessage(session, key, vars = {}, fallback = '') {
+    let template = defaultMessages[key] || fallback;
+    try {
+      template = scenarioManager.get(session.scenarioId).ai.messages?.[key] || template;
+    } catch (err) {
+      console.warn('Failed to load scenario AI messages:', err.message);
+    }
+    const values = {
+      trace: Math.round(this.getTrace(session)),
+      level: session.aiState.level,
+      name: this.getName(session),
+      ...vars
     };
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+  }
+
+  /**
+   * Get the AI's display name from the pack
+   */
+  getName(session) {
+    try {
+      return scenarioManager.get(session.scenarioId).ai.name || 'SECURITY';
+    } catch {
+      return 'SECURITY';
+    }
   }
 
   /**
@@ -73,54 +464,130 @@ class AIEngine {
   }
 
   /**
-   * Set AI state (admin action)
+   * Set AI state (admin action). Entering a new state runs its actions.
+   */
+  async setState(session, level, status) {
+    this.setLevel(session, level);
+    const machine = this.getMachine(session);
+    const target = status || 'idle';
+    if (target !== session.aiState.status && machine.states[target]) {
+      await this.enterState(session, target, machine);
+    } else {
+      session.aiState.status = target;
+    }
+    this.emitState(session);
+  }
+
+  /**
+   * Get the pack's challenge settings, merged over the defaults
    */
-  setState(session, level, status) {
-    session.aiState.level = Math.max(0, Math.min(level, 10));
-    session.aiState.status = status || 'idle';
+  getChallengeConfig(session) {
+    let config = {};
+    try {
+      config = scenarioManager.get(session.scenarioId).ai.challenges || {};
+    } catch (err) {
+      console.warn('Failed to load scenario challenges:', err.message);
+    }
+    return {
+      ...defaultChallengeConfig,
+      ...config,
+      bank: config.bank?.length ? config.bank : defaultChallengeConfig.bank
+    };
   }
 
   /**
-   * Issue challenge (riddle/puzzle)
+   * Issue a challenge from the pack's bank. Until it is answered or times out
+   * the player's input is routed to validateChallenge.
    */
   issueChallenge(session) {
-    const challenges = [
-      {
-        question: "What is the answer to life, the universe, and everything?",
-        answer: "42"
-      },
-      {
-        question: "What comes after 2, 3, 5, 7, 11?",
-        answer: "13"
-      }
-    ];
+    if (session.aiState.challenge) return null;
     
-    const challenge = challenges[Math.floor(Math.random() * challenges.length)];
+    const config = this.getChallengeConfig(session);
+    const entry = config.bank[Math.floor(Math.random() * config.bank.length)];
+    const challenge = {
+      question: entry.question,
+      answers: [].concat(entry.answers || entry.answer).map(answer => String(answer)),
+      expiresAt: new Date(Date.now() + config.timeoutSeconds * 1000).toISOString()
+    };
     session.aiState.challenge = challenge;
     
-    return this.sendMessage(session, `[SECURITY CHALLENGE] ${challenge.question}\nType your answer to continue.`);
+    this.say(session, 'challenge', { question: challenge.question, seconds: config.timeoutSeconds });
+    eventBus.toSession(session.id, 'timer_started', {
+      id: 'challenge',
+      label: 'Security challenge',
+      endsAt: challenge.expiresAt
+    });
+    return challenge;
   }
 
   /**
-   * Validate challenge answer
+   * Check the player's answer to the pending challenge. A wrong answer keeps
+   * the challenge pending until it is answered or times out.
    */
-  validateChallenge(session, answer) {
+  async validateChallenge(session, answer) {
     const challenge = session.aiState.challenge;
     if (!challenge) return false;
     
-    const correct = answer.trim().toLowerCase() === challenge.answer.toLowerCase();
-    
+    const config = this.getChallengeConfig(session);
+    const correct = challenge.answers.some(a => a.trim().toLowerCase() === String(answer).trim().toLowerCase());
     if (correct) {
-      session.aiState.level = Math.max(0, session.aiState.level - 2);
-      if (session.aiState.level <= 2) {
-        session.aiState.status = 'idle';
-      }
       session.aiState.challenge = null;
-      return { success: true, message: '[SECURITY] Challenge passed. Security level decreased.' };
-    } else {
-      session.aiState.level = Math.min(session.aiState.level + 1, 10);
-      return { success: false, message: '[SECURITY] Incorrect answer. Security level increased.' };
     }
+    
+    const outcome = correct ? config.pass : config.fail;
+    this.say(session, outcome.message);
+    await this.adjustLevel(session, outcome.level || 0);
+    return { success: correct };
+  }
+
+  /**
+   * Expire the pending challenge once its time is up
+   */
+  async checkChallenge(session, now = Date.now()) {
+    const challenge = session.aiState.challenge;
+    if (!challenge || new Date(challenge.expiresAt).getTime() > now) return false;
+    
+    const config = this.getChallengeConfig(session);
+    session.aiState.challenge = null;
+    eventBus.toSession(session.id, 'timer_expired', { id: 'challenge', label: 'Security challenge' });
+    this.say(session, config.timeout.message);
+    await this.adjustLevel(session, config.timeout.level || 0);
+    return true;
+  }
+
+  /**
+   * Freeze the trace meter because a watchdog process was killed. After
+   * `alarmAfter` seconds the AI notices and fires `event` (see processEngine).
+   */
+  pauseTrace(session, { alarmAfter = 60, event = 'watchdog_killed' } = {}, process = 'watchdog') {
+    session.aiState.tracePause = {
+      alarmAt: new Date(Date.now() + alarmAfter * 1000).toISOString(),
+      event,
+      process
+    };
+    this.emitState(session);
+  }
+
+  /**
+   * Unfreeze the trace meter without raising the alarm
+   */
+  resumeTrace(session) {
+    if (!session.aiState.tracePause) return;
+    delete session.aiState.tracePause;
+    this.emitState(session);
+  }
+
+  /**
+   * Raise the alarm once a paused trace's delay has run out
+   */
+  async checkWatchdog(session, now = Date.now()) {
+    const pause = session.aiState.tracePause;
+    if (!pause || new Date(pause.alarmAt).getTime() > now) return false;
+    
+    delete session.aiState.tracePause;
+    await this.trigger(session, pause.event, { process: pause.process });
+    this.emitState(session);
+    return true;
   }
 }
 
@@ -0,0 +1,336 @@
+/**
+ * Cipher Registry
+ * Pluggable cipher handlers for `ENCRYPTED:<CIPHER>#<CHECK>:<payload>` file
+ * contents. CHECK is a checksum of the layer's plaintext, so a wrong key is
+ * detected before the file is touched.
+ */
+
+import crypto from 'crypto';
+
+const PREFIX = 'ENCRYPTED:';
+const CHECK_SEPARATOR = '#';
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Require a key to be present and return it as a string
+ */
+function requireKey(name, key) {
+  if (key === undefined || key === null || key === true || String(key) === '') {
+    throw new Error(`A key is required for ${name} (use --key <key>)`);
+  }
+  return String(key);
+}
+
+/**
+ * Parse an integer key within a range
+ */
+function integerKey(name, key, min, max) {
+  const value = requireKey(name, key);
+  if (!/^-?\d+$/.test(value)) {
+    throw new Error(`Invalid key for ${name}: expected a number between ${min} and ${max}`);
+  }
+  const num = parseInt(value, 10);
+  if (num < min || num > max) {
+    throw new Error(`Invalid key for ${name}: expected a number between ${min} and ${max}`);
+  }
+  return num;
+}
+
+/**
+ * Shift letters by a per-character amount, preserving case and non-letters
+ */
+function shiftLetters(text, shiftAt) {
+  let index = 0;
+  return Array.from(text).map(ch => {
+    const lower = ch.toLowerCase();
+    const pos = ALPHABET.indexOf(lower);
+    if (pos === -1) return ch;
+    const shifted = ALPHABET[(((pos + shiftAt(index++)) % 26) + 26) % 26];
+    return ch === lower ? shifted : shifted.toUpperCase();
+  }).join('');
+}
+
+/**
+ * Map letters through a substitution table, preserving case and non-letters
+ */
+function mapLetters(text, from, to) {
+  return Array.from(text).map(ch => {
+    const lower = ch.toLowerCase();
+    const pos = from.indexOf(lower);
+    if (pos === -1) return ch;
+    return ch === lower ? to[pos] : to[pos].toUpperCase();
+  }).join('');
+}
+
+/**
+ * Short checksum of a layer's plaintext, stored in its header
+ */
+function checksum(text) {
+  return crypto.createHash('sha256').update(text, 'utf-8').digest('hex').substring(0, 8).toUpperCase();
+}
+
+/**
+ * Whether decrypted text is readable: no replacement characters from broken
+ * UTF-8 and no control characters besides tab and newlines
+ */
+function isReadable(text) {
+  return !/[\uFFFD\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/.test(text);
+}
+
+function toHex(bytes) {
+  return Buffer.from(bytes).toString('hex').toUpperCase();
+}
+
+function fromHex(name, hex) {
+  const clean = hex.replace(/\s+/g, '');
+  if (clean.length % 2 !== 0 || /[^0-9a-f]/i.test(clean)) {
+    throw new Error(`Corrupt ${name} payload: expected hex data`);
+  }
+  return Buffer.from(clean, 'hex');
+}
+
+const caesar = {
+  description: 'Caesar shift / ROT-n (key: shift 0-25)',
+  requiresKey: true,
+  validateKey(key) {
+    return integerKey('CAESAR', key, 0, 25);
+  },
+  encrypt(plaintext, key) {
+    const shift = this.validateKey(key);
+    return shiftLetters(plaintext, () => shift);
+  },
+  decrypt(payload, key) {
+    const shift = this.validateKey(key);
+    return shiftLetters(payload, () => -shift);
+  }
+};
+
+const builtins = {
+  XOR: {
+    description: 'Single-byte XOR, hex payload (key: number 0-255)',
+    requiresKey: true,
+    validateKey(key) {
+      return integerKey('XOR', key, 0, 255);
+    },
+    encrypt(plaintext, key) {
+      const keyNum = this.validateKey(key);
+      return toHex(Buffer.from(plaintext, 'utf-8').map(byte => byte ^ keyNum));
+    },
+    decrypt(payload, key) {
+      const keyNum = this.validateKey(key);
+      return Buffer.from(fromHex('XOR', payload).map(byte => byte ^ keyNum)).toString('utf-8');
+    }
+  },
+
+  MXOR: {
+    description: 'Multi-byte repeating XOR, hex payload (key: any text)',
+    requiresKey: true,
+    validateKey(key) {
+      return Buffer.from(requireKey('MXOR', key), 'utf-8');
+    },
+    encrypt(plaintext, key) {
+      const keyBytes = this.validateKey(key);
+      return toHex(Buffer.from(plaintext, 'utf-8').map((byte, i) => byte ^ keyBytes[i % keyBytes.length]));
+    },
+    decrypt(payload, key) {
+      const keyBytes = this.validateKey(key);
+      const bytes = fromHex('MXOR', payload).map((byte, i) => byte ^ keyBytes[i % keyBytes.length]);
+      return Buffer.from(bytes).toString('utf-8');
+    }
+  },
+
+  CAESAR: caesar,
+  ROT: caesar,
+
+  VIGENERE: {
+    description: 'Vigenère cipher (key: letters only)',
+    requiresKey: true,
+    validateKey(key) {
+      const value = requireKey('VIGENERE', key).toLowerCase();
+      if (!/^[a-z]+$/.test(value)) {
+        throw new Error('Invalid key for VIGENERE: expected letters only');
+      }
+      return Array.from(value).map(ch => ALPHABET.indexOf(ch));
+    },
+    encrypt(plaintext, key) {
+      const shifts = this.validateKey(key);
+      return shiftLetters(plaintext, i => shifts[i % shifts.length]);
+    },
+    decrypt(payload, key) {
+      const shifts = this.validateKey(key);
+      return shiftLetters(payload, i => -shifts[i % shifts.length]);
+    }
+  },
+
+  SUBSTITUTION: {
+    description: 'Monoalphabetic substitution (key: 26-letter cipher alphabet)',
+    requiresKey: true,
+    validateKey(key) {
+      const value = requireKey('SUBSTITUTION', key).toLowerCase();
+      if (!/^[a-z]{26}$/.test(value) || new Set(value).size !== 26) {
+        throw new Error('Invalid key for SUBSTITUTION: expected each of the 26 letters exactly once');
+      }
+      return value;
+    },
+    encrypt(plaintext, key) {
+      return mapLetters(plaintext, ALPHABET, this.validateKey(key));
+    },
+    decrypt(payload, key) {
+      return mapLetters(payload, this.validateKey(key), ALPHABET);
+    }
+  },
+
+  BASE64: {
+    description: 'Base64 encoding layer (no key)',
+    requiresKey: false,
+    validateKey() {
+      return null;
+    },
+    encrypt(plaintext) {
+      return Buffer.from(plaintext, 'utf-8').toString('base64');
+    },
+    decrypt(payload) {
+      const clean = payload.replace(/\s+/g, '');
+      if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean)) {
+        throw new Error('Corrupt BASE64 payload');
+      }
+      return Buffer.from(clean, 'base64').toString('utf-8');
+    }
+  },
+
+  AES256: {
+    description: 'AES-256-CBC, base64 payload of IV + ciphertext (key: passphrase)',
+    requiresKey: true,
+    validateKey(key) {
+      // Passphrases are stretched to a 256-bit key with SHA-256
+      return crypto.createHash('sha256').update(requireKey('AES256', key), 'utf-8').digest();
+    },
+    encrypt(plaintext, key) {
+      const iv = crypto.randomBytes(16);
+      const cipher = crypto.createCipheriv('aes-256-cbc', this.validateKey(key), iv);
+      const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+      return Buffer.concat([iv, data]).toString('base64');
+    },
+    decrypt(payload, key) {
+      const aesKey = this.validateKey(key);
+      const raw = Buffer.from(payload.replace(/\s+/g, ''), 'base64');
+      if (raw.length < 32 || raw.length % 16 !== 0) {
+        throw new Error('Corrupt AES256 payload');
+      }
+      try {
+        const decipher = crypto.createDecipheriv('aes-256-cbc', aesKey, raw.subarray(0, 16));
+        return Buffer.concat([decipher.update(raw.subarray(16)), decipher.final()]).toString('utf-8');
+      } catch {
+        // Bad padding: the key is wrong
+        return null;
+      }
+    }
+  }
+};
+
+class CipherRegistry {
+  constructor() {
+    this.handlers = new Map(); // cipher name -> handler
+    Object.entries(builtins).forEach(([name, handler]) => this.register(name, handler));
+  }
+
+  /**
+   * Register a cipher handler under a prefix name.
+   * Handlers provide validateKey(key), encrypt(plaintext, key) and
+   * decrypt(payload, key). decrypt() may return null when it can tell the
+   * key is wrong; the registry's checksum catches the rest.
+   */
+  register(name, handler) {
+    for (const method of ['validateKey', 'encrypt', 'decrypt']) {
+      if (typeof handler[method] !== 'function') {
+        throw new Error(`Cipher ${name} is missing ${method}()`);
+      }
+    }
+    this.handlers.set(name.toUpperCase(), handler);
+  }
+
+  /**
+   * Get a handler by name
+   */
+  get(name) {
+    return this.handlers.get(String(name).toUpperCase()) || null;
+  }
+
+  /**
+   * List registered ciphers
+   */
+  list() {
+    return Array.from(this.handlers.entries()).map(([name, handler]) => ({
+      name,
+      description: handler.description || '',
+      requiresKey: handler.requiresKey !== false
+    }));
+  }
+
+  /**
+   * Check whether contents carry an ENCRYPTED: header
+   */
+  isEncrypted(contents) {
+    return typeof contents === 'string' && contents.startsWith(PREFIX);
+  }
+
+  /**
+   * Split `ENCRYPTED:<CIPHER>[#<CHECK>]:<payload>` into its parts. Layers
+   * written before checksums existed have no CHECK.
+   */
+  parse(contents) {
+    if (!this.isEncrypted(contents)) {
+      return null;
+    }
+    const rest = contents.substring(PREFIX.length);
+    const separator = rest.indexOf(':');
+    if (separator === -1) {
+      return null;
+    }
+    const [name, check = null] = rest.substring(0, separator).split(CHECK_SEPARATOR);
+    return { name: name.toUpperCase(), check: check && check.toUpperCase(), payload: rest.substring(separator + 1) };
+  }
+
+  /**
+   * Whether a wrong key for these contents' outer layer can be detected,
+   * i.e. the layer carries a checksum
+   */
+  isVerifiable(contents) {
+    return Boolean(this.parse(contents)?.check);
+  }
+
+  /**
+   * Decrypt one layer of ENCRYPTED: contents. Returns null when the key is
+   * wrong: the plaintext does not match the layer's checksum or, for a layer
+   * without one, is not readable text. Readable text from a layer without a
+   * checksum may still come from a wrong key (see isVerifiable). Throws for
+   * malformed keys and payloads.
+   */
+  decrypt(contents, key) {
+    const parsed = this.parse(contents);
+    const handler = parsed && this.get(parsed.name);
+    if (!handler) {
+      throw new Error('Unsupported encryption format');
+    }
+    const plaintext = handler.decrypt(parsed.payload, key);
+    if (plaintext === null) return null;
+    
+    const intact = parsed.check ? checksum(plaintext) === parsed.check : isReadable(plaintext);
+    return intact ? plaintext : null;
+  }
+
+  /**
+   * Encrypt plaintext into ENCRYPTED: contents, with a checksum of the
+   * plaintext in the header
+   */
+  encrypt(name, plaintext, key) {
+    const handler = this.get(name);
+    if (!handler) {
+      throw new Error(`Unknown cipher: ${name}`);
+    }
+    const payload = handler.encrypt(plaintext, key);
+    return `${PREFIX}${String(name).toUpperCase()}${CHECK_SEPARATOR}${checksum(plaintext)}:${payload}`;
+  }
+}
+
+export default new CipherRegistry();
@@ -5,56 +5,359 @@
 
 import { VFSEngine } from './vfsEngine.js';
 import puzzleEngine from './puzzleEngine.js';
-import aiEngine from './aiEngine.js';
+import cipherRegistry from './cipherRegistry.js';
+import scenarioManager from './scenarioManager.js';
+import tripwireEngine from './tripwireEngine.js';
+import decryptEngine from './decryptEngine.js';
+import networkEngine from './networkEngine.js';
+import processEngine from './processEngine.js';
+import { compilePattern, testPattern } from './ruleEngine.js';
+
+// Commands that spring VFS traps on their target, by the verb a trap's `on`
+// list uses. Reading a file springs 'cat' traps in openFile instead.
+const trapCommands = {
+  ls: 'ls', cd: 'cd', rm: 'rm', delete: 'rm', rmdir: 'rm', mv: 'rm'
+};
+
+// Largest file the editor will save
+const MAX_EDIT_SIZE = 64 * 1024;
 
 export class CommandParser {
   /**
-   * Parse command string into tokens
+   * Split a command line into word and operator tokens.
+   * Supports single quotes, double quotes and backslash escapes.
    */
-  static parse(cmd) {
-    const trimmed = cmd.trim();
-    if (!trimmed) return null;
+  static tokenize(input) {
+    const tokens = [];
+    let word = null;
+    let i = 0;
+    
+    const startWord = () => {
+      if (!word) {
+        word = { type: 'word', value: '', quoted: false };
+      }
+      return word;
+    };
+    
+    const endWord = () => {
+      if (word) {
+        tokens.push(word);
+        word = null;
+      }
+    };
+    
+    while (i < input.length) {
+      const ch = input[i];
+      
+      if (/\s/.test(ch)) {
+        endWord();
+        i++;
+        continue;
+      }
+      
+      // Single quotes: everything literal until the closing quote
+      if (ch === "'") {
+        const end = input.indexOf("'", i + 1);
+        if (end === -1) {
+          throw new Error('Syntax error: unterminated quote');
+        }
+        startWord().value += input.slice(i + 1, end);
+        word.quoted = true;
+        i = end + 1;
+        continue;
+      }
+      
+      // Double quotes: backslash only escapes \ and "
+      if (ch === '"') {
+        startWord().quoted = true;
+        i++;
+        while (i < input.length && input[i] !== '"') {
+          if (input[i] === '\\' && (input[i + 1] === '"' || input[i + 1] === '\\')) {
+            i++;
+          }
+          word.value += input[i];
+          i++;
+        }
+        if (i >= input.length) {
+          throw new Error('Syntax error: unterminated quote');
+        }
+        i++;
+        continue;
+      }
+      
+      if (ch === '\\') {
+        if (i + 1 >= input.length) {
+          throw new Error('Syntax error: unexpected end of input after \\');
+        }
+        startWord().value += input[i + 1];
+        word.quoted = true;
+        i += 2;
+        continue;
+      }
+      
+      if (ch === '|') {
+        if (input[i + 1] === '|') {
+          throw new Error("Syntax error: '||' is not supported");
+        }
+        endWord();
+        tokens.push({ type: 'op', value: '|' });
+        i++;
+        continue;
+      }
+      
+      if (ch === ';') {
+        endWord();
+        tokens.push({ type: 'op', value: ';' });
+        i++;
+        continue;
+      }
+      
+      if (ch === '&') {
+        if (input[i + 1] !== '&') {
+          throw new Error("Syntax error: background jobs ('&') are not supported");
+        }
+        endWord();
+        tokens.push({ type: 'op', value: '&&' });
+        i += 2;
+        continue;
+      }
+      
+      if (ch === '>') {
+        endWord();
+        const append = input[i + 1] === '>';
+        tokens.push({ type: 'op', value: append ? '>>' : '>' });
+        i += append ? 2 : 1;
+        continue;
+      }
+      
+      startWord().value += ch;
+      i++;
+    }
     
-    const parts = trimmed.split(/\s+/);
-    const command = parts[0].toLowerCase();
-    const args = parts.slice(1);
+    endWord();
+    return tokens;
+  }
+
+  /**
+   * Build a simple command from its word tokens
+   */
+  static buildCommand(words, redirect) {
+    const command = words[0].value.toLowerCase();
+    const args = [];
     
-    // Parse options (--key value)
+    // Parse options (--key value); quoted words are never treated as options
     const options = {};
-    for (let i = 0; i < args.length; i++) {
-      if (args[i].startsWith('--')) {
-        const key = args[i].substring(2);
-        const value = args[i + 1];
-        if (value && !value.startsWith('--')) {
-          options[key] = value;
-          args.splice(i, 2);
-          i--;
+    for (let i = 1; i < words.length; i++) {
+      const word = words[i];
+      if (!word.quoted && word.value.startsWith('--') && word.value.length > 2) {
+        const key = word.value.substring(2);
+        const next = words[i + 1];
+        if (next && (next.quoted || !next.value.startsWith('--'))) {
+          options[key] = next.value;
+          i++;
         } else {
           options[key] = true;
-          args.splice(i, 1);
-          i--;
         }
+      } else {
+        args.push(word.value);
       }
     }
     
-    return { command, args, options, raw: trimmed };
+    return { command, args, options, redirect };
   }
 
   /**
-   * Execute command
+   * Parse command string into a sequence of pipelines.
+   * Grammar: pipeline ((';' | '&&') pipeline)*, where a pipeline is
+   * command ('|' command)* and each command may end in '> file' or '>> file'.
+   */
+  static parse(cmd) {
+    const trimmed = cmd.trim();
+    if (!trimmed) return null;
+    
+    try {
+      const tokens = this.tokenize(trimmed);
+      const sequence = [];
+      let pipeline = [];
+      let words = [];
+      let redirect = null;
+      let operator = null;
+      
+      const endCommand = (op) => {
+        if (words.length === 0) {
+          throw new Error(`Syntax error near '${op}'`);
+        }
+        pipeline.push(this.buildCommand(words, redirect));
+        words = [];
+        redirect = null;
+      };
+      
+      for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        
+        if (token.type === 'word') {
+          words.push(token);
+          continue;
+        }
+        
+        switch (token.value) {
+          case '>':
+          case '>>': {
+            const target = tokens[i + 1];
+            if (!target || target.type !== 'word') {
+              throw new Error(`Syntax error near '${token.value}'`);
+            }
+            redirect = { path: target.value, append: token.value === '>>' };
+            i++;
+            break;
+          }
+          
+          case '|':
+            endCommand('|');
+            break;
+          
+          case ';':
+          case '&&':
+            endCommand(token.value);
+            sequence.push({ operator, pipeline });
+            pipeline = [];
+            operator = token.value;
+            break;
+        }
+      }
+      
+      if (words.length > 0 || redirect) {
+        endCommand('newline');
+      } else if (pipeline.length > 0 || operator === '&&') {
+        throw new Error(`Syntax error near '${pipeline.length > 0 ? '|' : '&&'}'`);
+      }
+      
+      if (pipeline.length > 0) {
+        sequence.push({ operator, pipeline });
+      }
+      
+      return { sequence, raw: trimmed };
+    } catch (error) {
+      return { sequence: [], raw: trimmed, error: error.message };
+    }
+  }
+
+  /**
+   * Flatten a parsed command line into its simple commands
+   */
+  static commands(parsed) {
+    if (!parsed) return [];
+    return parsed.sequence.flatMap(({ pipeline }) => pipeline);
+  }
+
+  /**
+   * Execute a parsed command line. `activity` lists each command that ran
+   * as { command, args, error, traps } for the trace engine.
    */
   static async execute(session, parsed) {
-    if (!parsed) return { output: '', error: null };
+    if (!parsed) return { output: '', error: null, activity: [] };
+    if (parsed.error) return { output: `Error: ${parsed.error}`, error: parsed.error, activity: [] };
+    
+    const outputs = [];
+    const activity = [];
+    let result = { output: '', error: null };
+    
+    for (const { operator, pipeline } of parsed.sequence) {
+      // '&&' only runs when the previous pipeline succeeded
+      if (operator === '&&' && result.error) continue;
+      
+      result = await this.executePipeline(session, pipeline, activity);
+      if (result.output) {
+        outputs.push(result.output);
+      }
+    }
     
+    return {
+      output: outputs.join('\n'),
+      error: result.error,
+      clear: outputs.length <= 1 && !!result.clear,
+      editor: result.editor,
+      activity
+    };
+  }
+
+  /**
+   * Execute a pipeline, feeding each command's output into the next
+   */
+  static async executePipeline(session, pipeline, activity = []) {
+    let input = null;
+    let result = { output: '', error: null };
+    
+    for (const command of pipeline) {
+      await this.springTraps(session, command);
+      result = await this.executeCommand(session, command, input);
+      const traps = tripwireEngine.drain(session);
+      activity.push({ command: command.command, args: command.args, error: result.error, traps });
+      if (result.error) return result;
+      
+      if (command.redirect) {
+        try {
+          await this.redirect(session, command.redirect, result.output);
+        } catch (error) {
+          return { output: `Error: ${error.message}`, error: error.message };
+        }
+        result = { output: '', error: null };
+      }
+      
+      input = result.output;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Spring honeypot and tripwire traps on the node an ls, cd or rm is about
+   * to touch
+   */
+  static async springTraps(session, { command, args }) {
+    const verb = trapCommands[command];
+    if (!verb || !this.isGranted(session, command)) return;
+    
+    const path = this.parseFlags(args).operands[0] || (verb === 'ls' ? session.currentPath : null);
+    if (!path) return;
+    await tripwireEngine.touch(session, verb, path);
+  }
+
+  /**
+   * Write command output into the session VFS (> and >>) and fire 'write'
+   * puzzle triggers, as a save from the editor does
+   */
+  static async redirect(session, { path, append }, output) {
+    const resolvedPath = VFSEngine.resolvePath(session.fs, session.currentPath, path);
+    const existing = VFSEngine.getNode(session.fs, resolvedPath);
+    let contents = output;
+    
+    if (append && existing) {
+      const previous = VFSEngine.readFile(session, path).contents;
+      contents = previous && !previous.endsWith('\n') ? `${previous}\n${output}` : previous + output;
+    }
+    
+    const written = VFSEngine.writeFile(session, path, contents, existing?.meta || {});
+    await puzzleEngine.checkChange(session, 'write', written);
+  }
+
+  /**
+   * Execute a single command with optional piped input
+   */
+  static async executeCommand(session, parsed, input = null) {
     const { command, args, options } = parsed;
     
+    if (!this.isGranted(session, command)) {
+      return { output: `${command}: access denied. Clearance for this command has not been granted.`, error: `Command not granted: ${command}` };
+    }
+    
     try {
       switch (command) {
         case 'help':
           return this.help();
         
         case 'ls':
-          return this.ls(session, args[0]);
+          return this.ls(session, args);
         
         case 'cd':
           return this.cd(session, args[0]);
@@ -64,16 +367,69 @@ export class CommandParser {
         
         case 'cat':
         case 'open':
-          return await this.cat(session, args[0]);
+          return await this.cat(session, args[0], input);
+        
+        case 'echo':
+          return this.echo(args);
         
         case 'search':
           return this.search(session, args[0]);
         
+        case 'grep':
+          return await this.grep(session, args, input);
+        
+        case 'head':
+        case 'tail':
+          return await this.headTail(session, command, args, input);
+        
+        case 'wc':
+          return await this.wc(session, args, input);
+        
+        case 'sort':
+          return await this.sort(session, args, input);
+        
+        case 'uniq':
+          return await this.uniq(session, args, input);
+        
+        case 'cut':
+          return await this.cut(session, args, input);
+        
         case 'decrypt':
           return await this.decrypt(session, args[0], options.key);
         
+        case 'encrypt':
+          return this.encrypt(session, args[0], options.cipher, options.key);
+        
         case 'scan':
-          return this.scan(session);
+          return this.scan(session, args[0]);
+        
+        case 'ssh':
+        case 'connect':
+          return this.ssh(session, command, args[0], args[1]);
+        
+        case 'exit':
+        case 'logout':
+          return this.exit(session);
+        
+        case 'edit':
+        case 'nano':
+          return await this.edit(session, command, args[0]);
+        
+        case 'ps':
+        case 'top':
+          return { output: processEngine.format(session, command === 'top'), error: null };
+        
+        case 'kill':
+          return await this.kill(session, args);
+        
+        case 'whoami':
+          return { output: VFSEngine.getIdentity(session).user, error: null };
+        
+        case 'id':
+          return this.id(session);
+        
+        case 'su':
+          return this.su(session, args[0], args[1]);
         
         case 'sudo':
           if (args[0] === 'hack') {
@@ -86,13 +442,28 @@ export class CommandParser {
         
         case 'rm':
         case 'delete':
-          return await this.rm(session, args[0]);
+          return await this.rm(session, command, args);
+        
+        case 'rmdir':
+          return await this.rmdir(session, args[0]);
+        
+        case 'mkdir':
+          return await this.mkdir(session, args);
+        
+        case 'touch':
+          return await this.touch(session, args[0]);
+        
+        case 'cp':
+          return await this.cp(session, args);
+        
+        case 'mv':
+          return await this.mv(session, args[0], args[1]);
         
         case 'clear':
           return { output: '\x1b[2J\x1b[H', error: null, clear: true };
         
         default:
-          return { output: `Command not found: ${command}. Type 'help' for available commands.`, error: null };
+          return { output: `Command not found: ${command}. Type 'help' for available commands.`, error: `Command not found: ${command}` };
       }
     } catch (error) {
       return { output: `Error: ${error.message}`, error: error.message };
@@ -103,31 +474,140 @@ export class CommandParser {
     const output = `Available commands:
 
 help              Show this help message
-ls [path]         List directory contents
+ls [-laR] [path]  List directory contents (-l long, -a hidden, -R recursive)
 cd [path]         Change directory
 pwd               Print working directory
 cat <file>        Display file contents
 open <file>       Alias for cat
+edit <file>       Edit a file (nano is an alias; Ctrl+S saves, Ctrl+X quits)
+echo <text>       Print text
 search <pattern>  Search files and contents
-decrypt <file> --key <key>  Decrypt encrypted file
-scan              Scan system information
+grep [-nivr] <pattern> [file...]  Print lines matching a pattern
+head [-n N] [file]  Print the first N lines (default 10)
+tail [-n N] [file]  Print the last N lines (-n +N starts at line N)
+wc [-lwc] [file...]  Count lines, words and characters
+sort [-rnu] [file]  Sort lines
+uniq [-c] [file]  Collapse adjacent duplicate lines
+cut -d <delim> -f <list> [file]  Select fields (or -c <list> for characters)
+decrypt <file> --key <key>  Decrypt encrypted file (XOR, MXOR, CAESAR/ROT,
+                  VIGENERE, SUBSTITUTION, BASE64, AES256)
+encrypt <file> --cipher <name> --key <key>  Encrypt a file
+scan [subnet]     Scan system information, or probe a subnet for hosts
+ssh <user@host> <password>  Log in to a remote host (connect is an alias)
+exit              Log out of the remote host (logout is an alias)
+ps                List running processes (top sorts by CPU)
+kill <pid>...     Stop processes
+whoami            Print the current user
+id                Print the current user and groups
+su <user> <password>  Switch user (su alone switches back)
 sudo hack <target>  Attempt to hack (triggers AI)
 history [n]       Show command history
-rm <file>         Delete a file
-delete <file>     Alias for rm
-clear             Clear terminal`;
+rm [-rf] <path>   Delete a file (-r a directory and its contents)
+delete <path>     Alias for rm
+rmdir <dir>       Delete an empty directory
+mkdir [-p] <dir>  Create a directory (-p creates parents as needed)
+touch <file>      Create an empty file
+cp [-r] <source> <target>  Copy a file (-r a directory)
+mv <source> <target>  Move or rename a file or directory
+clear             Clear terminal
+
+Quote names with spaces: cat "read me.txt"
+Chain commands with ; or &&, pipe with |, redirect with > or >>`;
     return { output, error: null };
   }
 
-  static ls(session, path) {
-    const listing = VFSEngine.list(session, path);
+  static ls(session, args) {
+    const { flags, operands } = this.parseFlags(args);
+    const path = operands[0];
+    const showHidden = flags.a || flags.A;
+    
+    const listDir = (dirPath) => VFSEngine.list(session, dirPath)
+      .filter(item => showHidden || !item.name.startsWith('.'))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    
+    if (!flags.R) {
+      return { output: this.formatListing(listDir(path), flags.l), error: null };
+    }
+    
+    // Recursive listing: one section per directory, depth-first
+    const sections = [];
+    const walk = (dirPath) => {
+      let listing;
+      try {
+        listing = listDir(dirPath);
+      } catch (error) {
+        sections.push(`${dirPath}:\nls: ${error.message}`);
+        return;
+      }
+      sections.push(`${dirPath}:\n${this.formatListing(listing, flags.l)}`);
+      for (const item of listing) {
+        if (item.type === 'dir') {
+          walk(dirPath.endsWith('/') ? `${dirPath}${item.name}` : `${dirPath}/${item.name}`);
+        }
+      }
+    };
+    walk(path || '.');
+    
+    return { output: sections.join('\n\n'), error: null };
+  }
+
+  /**
+   * Format directory entries as names or as ls -l rows
+   */
+  static formatListing(listing, long) {
     if (listing.length === 0) {
-      return { output: '(empty)', error: null };
+      return '(empty)';
+    }
+    
+    if (!long) {
+      return listing.map(item => `${item.name}${item.type === 'dir' ? '/' : ''}`).join('\n');
+    }
+    
+    const rows = listing.map(item => {
+      const node = { type: item.type, meta: item.meta };
+      const { owner, group } = VFSEngine.getPermissions(node);
+      const markers = [];
+      if (item.locked) markers.push('[LOCKED]');
+      if (item.meta.encrypted) markers.push('[ENCRYPTED]');
+      return {
+        mode: VFSEngine.formatMode(node),
+        owner,
+        group,
+        size: String(item.size),
+        modified: this.formatTimestamp(item.meta.modified),
+        name: `${item.name}${item.type === 'dir' ? '/' : ''}`,
+        markers: markers.join(' ')
+      };
+    });
+    
+    const width = (key) => Math.max(...rows.map(row => row[key].length));
+    const ownerWidth = width('owner');
+    const groupWidth = width('group');
+    const sizeWidth = width('size');
+    
+    return rows.map(row => [
+      row.mode,
+      row.owner.padEnd(ownerWidth),
+      row.group.padEnd(groupWidth),
+      row.size.padStart(sizeWidth),
+      row.modified,
+      row.name,
+      row.markers
+    ].join('  ').trimEnd()).join('\n');
+  }
+
+  /**
+   * Format a meta timestamp as YYYY-MM-DD HH:MM
+   */
+  static formatTimestamp(value) {
+    if (!value) {
+      return '----------------';
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return String(value);
     }
-    const formatted = listing.map(item => {
-      return `${item.name}${item.type === 'dir' ? '/' : ''}`;
-    }).join('\n');
-    return { output: formatted, error: null };
+    return date.toISOString().substring(0, 16).replace('T', ' ');
   }
 
   static cd(session, path) {
@@ -143,18 +623,410 @@ clear             Clear terminal`;
     return { output: session.currentPath, error: null };
   }
 
-  static async cat(session, path) {
+  static async cat(session, path, input) {
     if (!path) {
+      if (input !== null) {
+        return { output: input, error: null };
+      }
       return { output: 'Usage: cat <file>', error: null };
     }
+    const file = await this.openFile(session, path);
+    return { output: file.contents, error: null };
+  }
+
+  /**
+   * Read a file on behalf of the player: traps on it spring first (a decoy
+   * is what gets read), then 'open' puzzle triggers fire
+   */
+  static async openFile(session, path) {
+    await tripwireEngine.touch(session, 'cat', path);
     const file = VFSEngine.readFile(session, path);
+    const resolvedPath = VFSEngine.resolvePath(session.fs, session.currentPath, path);
     
     // Check for puzzle triggers (async, but don't wait for effects)
-    puzzleEngine.checkTrigger(session, 'open', path).catch(err => {
+    puzzleEngine.checkTrigger(session, 'open', resolvedPath).catch(err => {
       console.error('Puzzle trigger error:', err);
     });
     
-    return { output: file.contents, error: null };
+    return file;
+  }
+
+  /**
+   * Open a file in the player's editor. A missing file is created on the
+   * first save; encrypted files must be decrypted first.
+   */
+  static async edit(session, command, path) {
+    if (!path) {
+      return { output: `Usage: ${command} <file>`, error: null };
+    }
+    
+    const resolvedPath = VFSEngine.resolvePath(session.fs, session.currentPath, path);
+    let contents = '';
+    if (VFSEngine.getNode(session.fs, resolvedPath)) {
+      const file = await this.openFile(session, path);
+      if (file.meta.encrypted) {
+        throw new Error(`${path} is encrypted. Decrypt it first`);
+      }
+      contents = file.contents;
+    } else {
+      const { parentPath } = VFSEngine.splitPath(resolvedPath);
+      const dir = VFSEngine.traverse(session, parentPath, parentPath);
+      if (!dir || dir.type !== 'dir') {
+        throw new Error(`No such directory: ${parentPath}`);
+      }
+    }
+    
+    // Saves go to this file only, whatever the client sends back
+    session.editing = { path: resolvedPath, host: session.network?.host || null };
+    return { output: '', error: null, editor: { path: resolvedPath, contents } };
+  }
+
+  /**
+   * Save the file open in the player's editor. Locks and permissions apply
+   * as for any write, and the save fires 'write' puzzle triggers. Returns the
+   * saved path.
+   */
+  static async saveEdit(session, contents) {
+    const { path, host } = session.editing || {};
+    if (!path || typeof contents !== 'string') {
+      throw new Error('Nothing to save');
+    }
+    if (host !== (session.network?.host || null)) {
+      throw new Error(`Connection to ${host || 'your machine'} lost; ${path} was not saved`);
+    }
+    if (!this.isGranted(session, 'edit')) {
+      throw new Error('edit: access denied');
+    }
+    if (contents.length > MAX_EDIT_SIZE) {
+      throw new Error(`File too large (max ${MAX_EDIT_SIZE / 1024} KB)`);
+    }
+    
+    const existing = VFSEngine.getNode(session.fs, path);
+    if (existing?.meta?.encrypted) {
+      throw new Error(`${path} is encrypted. Decrypt it first`);
+    }
+    const resolvedPath = VFSEngine.writeFile(session, path, contents, existing?.meta || {});
+    await puzzleEngine.checkChange(session, 'write', resolvedPath);
+    return resolvedPath;
+  }
+
+  /**
+   * Split short flags from operands.
+   * `valueFlags` lists flags that take a value (-n 5, -n5, -d,).
+   * A bare -N is read as -n N for head/tail.
+   */
+  static parseFlags(args, valueFlags = '') {
+    const flags = {};
+    const operands = [];
+    
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      
+      if (arg === '--') {
+        operands.push(...args.slice(i + 1));
+        break;
+      }
+      
+      if (!arg.startsWith('-') || arg.length === 1) {
+        operands.push(arg);
+        continue;
+      }
+      
+      if (/^-\d+$/.test(arg) && valueFlags.includes('n')) {
+        flags.n = arg.substring(1);
+        continue;
+      }
+      
+      for (let j = 1; j < arg.length; j++) {
+        const flag = arg[j];
+        if (valueFlags.includes(flag)) {
+          const value = j + 1 < arg.length ? arg.substring(j + 1) : args[++i];
+          if (value === undefined) {
+            throw new Error(`Option -${flag} requires a value`);
+          }
+          flags[flag] = value;
+          break;
+        }
+        flags[flag] = true;
+      }
+    }
+    
+    return { flags, operands };
+  }
+
+  /**
+   * Split text into lines, ignoring a single trailing newline
+   */
+  static splitLines(text) {
+    if (!text) return [];
+    const trimmed = text.endsWith('\n') ? text.slice(0, -1) : text;
+    return trimmed.split('\n');
+  }
+
+  /**
+   * Read text from the given files, or from piped input when no file is given.
+   * Returns null when there is nothing to read.
+   */
+  static async readInput(session, files, input) {
+    if (files.length > 0) {
+      const texts = [];
+      for (const file of files) {
+        texts.push((await this.openFile(session, file)).contents);
+      }
+      return texts.join('\n');
+    }
+    return input;
+  }
+
+  /**
+   * Collect readable files under a path (depth-first)
+   */
+  static collectFiles(session, path) {
+    const resolvedPath = VFSEngine.resolvePath(session.fs, session.currentPath, path);
+    const node = VFSEngine.getNode(session.fs, resolvedPath);
+    
+    if (!node) {
+      throw new Error(`No such file or directory: ${path}`);
+    }
+    
+    if (node.type === 'file') {
+      return [path];
+    }
+    
+    const files = [];
+    const walk = (dirPath) => {
+      let listing;
+      try {
+        listing = VFSEngine.list(session, dirPath);
+      } catch {
+        return; // Skip directories the player cannot open
+      }
+      for (const item of listing) {
+        const childPath = dirPath.endsWith('/') ? `${dirPath}${item.name}` : `${dirPath}/${item.name}`;
+        if (item.type === 'dir') {
+          walk(childPath);
+        } else {
+          files.push(childPath);
+        }
+      }
+    };
+    walk(path);
+    return files;
+  }
+
+  static async grep(session, args, input) {
+    const usage = 'Usage: grep [-n] [-i] [-v] [-r] <pattern> [file...]';
+    const { flags, operands } = this.parseFlags(args);
+    const [pattern, ...targets] = operands;
+    
+    const unknown = Object.keys(flags).find(flag => !'nivr'.includes(flag));
+    if (unknown) {
+      return { output: `grep: invalid option -- '${unknown}'\n${usage}`, error: `Unsupported option: -${unknown}` };
+    }
+    if (pattern === undefined) {
+      return { output: usage, error: null };
+    }
+    
+    let regex;
+    try {
+      regex = compilePattern(pattern, flags.i ? 'i' : '');
+    } catch (err) {
+      throw new Error(err instanceof SyntaxError ? `Invalid pattern: ${pattern}` : err.message);
+    }
+    
+    const matchLines = (text, prefix) => {
+      return this.splitLines(text)
+        .map((line, index) => ({ line, number: index + 1 }))
+        .filter(({ line }) => testPattern(regex, line) !== !!flags.v)
+        .map(({ line, number }) => `${prefix}${flags.n ? `${number}:` : ''}${line}`);
+    };
+    
+    let results = [];
+    if (flags.r) {
+      const files = (targets.length > 0 ? targets : ['.']).flatMap(t => this.collectFiles(session, t));
+      for (const file of files) {
+        try {
+          results.push(...matchLines((await this.openFile(session, file)).contents, `${file}:`));
+        } catch {
+          // Unreadable files are skipped silently
+        }
+      }
+    } else if (targets.length > 0) {
+      for (const file of targets) {
+        const { contents } = await this.openFile(session, file);
+        results.push(...matchLines(contents, targets.length > 1 ? `${file}:` : ''));
+      }
+    } else if (input !== null) {
+      results = matchLines(input, '');
+    } else {
+      return { output: usage, error: null };
+    }
+    
+    return { output: results.join('\n'), error: null };
+  }
+
+  static async headTail(session, command, args, input) {
+    const { flags, operands } = this.parseFlags(args, 'n');
+    const text = await this.readInput(session, operands, input);
+    if (text === null) {
+      return { output: `Usage: ${command} [-n N] [file]`, error: null };
+    }
+    const lines = this.splitLines(text);
+    const count = flags.n === undefined ? '10' : String(flags.n);
+    
+    if (!/^\+?\d+$/.test(count)) {
+      throw new Error(`Invalid line count: ${count}`);
+    }
+    
+    let selected;
+    if (command === 'head') {
+      selected = lines.slice(0, parseInt(count, 10));
+    } else if (count.startsWith('+')) {
+      selected = lines.slice(Math.max(parseInt(count, 10) - 1, 0));
+    } else {
+      const n = parseInt(count, 10);
+      selected = n === 0 ? [] : lines.slice(-n);
+    }
+    
+    return { output: selected.join('\n'), error: null };
+  }
+
+  static async wc(session, args, input) {
+    const { flags, operands } = this.parseFlags(args);
+    const showAll = !flags.l && !flags.w && !flags.c;
+    
+    const count = (text) => ({
+      lines: text ? (text.match(/\n/g) || []).length + (text.endsWith('\n') ? 0 : 1) : 0,
+      words: text.split(/\s+/).filter(w => w).length,
+      chars: text.length
+    });
+    
+    const format = ({ lines, words, chars }, label) => {
+      const columns = [];
+      if (showAll || flags.l) columns.push(String(lines).padStart(7));
+      if (showAll || flags.w) columns.push(String(words).padStart(7));
+      if (showAll || flags.c) columns.push(String(chars).padStart(7));
+      return columns.join(' ') + (label ? ` ${label}` : '');
+    };
+    
+    if (operands.length === 0) {
+      if (input === null) {
+        return { output: 'Usage: wc [-l] [-w] [-c] [file...]', error: null };
+      }
+      return { output: format(count(input)), error: null };
+    }
+    
+    const totals = { lines: 0, words: 0, chars: 0 };
+    const rows = [];
+    for (const file of operands) {
+      const counts = count((await this.openFile(session, file)).contents);
+      totals.lines += counts.lines;
+      totals.words += counts.words;
+      totals.chars += counts.chars;
+      rows.push(format(counts, file));
+    }
+    if (operands.length > 1) {
+      rows.push(format(totals, 'total'));
+    }
+    
+    return { output: rows.join('\n'), error: null };
+  }
+
+  static async sort(session, args, input) {
+    const { flags, operands } = this.parseFlags(args);
+    const text = await this.readInput(session, operands, input);
+    if (text === null) {
+      return { output: 'Usage: sort [-r] [-n] [-u] [file]', error: null };
+    }
+    let lines = this.splitLines(text);
+    
+    if (flags.n) {
+      lines.sort((a, b) => (parseFloat(a) || 0) - (parseFloat(b) || 0));
+    } else {
+      lines.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    }
+    if (flags.r) {
+      lines.reverse();
+    }
+    if (flags.u) {
+      lines = lines.filter((line, i) => i === 0 || line !== lines[i - 1]);
+    }
+    
+    return { output: lines.join('\n'), error: null };
+  }
+
+  static async uniq(session, args, input) {
+    const { flags, operands } = this.parseFlags(args);
+    const text = await this.readInput(session, operands, input);
+    if (text === null) {
+      return { output: 'Usage: uniq [-c] [file]', error: null };
+    }
+    const groups = [];
+    
+    for (const line of this.splitLines(text)) {
+      const last = groups[groups.length - 1];
+      if (last && last.line === line) {
+        last.count++;
+      } else {
+        groups.push({ line, count: 1 });
+      }
+    }
+    
+    const output = groups.map(({ line, count }) => {
+      return flags.c ? `${String(count).padStart(7)} ${line}` : line;
+    });
+    return { output: output.join('\n'), error: null };
+  }
+
+  /**
+   * Parse a cut list such as "1,3" or "2-4" or "3-" into a predicate on 1-based positions
+   */
+  static parseRanges(list) {
+    const ranges = list.split(',').map(part => {
+      const match = part.match(/^(\d*)(-?)(\d*)$/);
+      if (!match || (!match[1] && !match[3])) {
+        throw new Error(`Invalid list: ${list}`);
+      }
+      const start = match[1] ? parseInt(match[1], 10) : 1;
+      const end = match[2] ? (match[3] ? parseInt(match[3], 10) : Infinity) : start;
+      return { start, end };
+    });
+    return (position) => ranges.some(({ start, end }) => position >= start && position <= end);
+  }
+
+  static async cut(session, args, input) {
+    const usage = 'Usage: cut -d <delim> -f <list> [file] | cut -c <list> [file]';
+    const { flags, operands } = this.parseFlags(args, 'dfc');
+    
+    const text = await this.readInput(session, operands, input);
+    if (text === null || (!flags.f && !flags.c)) {
+      return { output: usage, error: null };
+    }
+    
+    const lines = this.splitLines(text);
+    
+    if (flags.c) {
+      const selected = this.parseRanges(flags.c);
+      const output = lines.map(line => Array.from(line).filter((_, i) => selected(i + 1)).join(''));
+      return { output: output.join('\n'), error: null };
+    }
+    
+    const delimiter = flags.d === undefined ? '\t' : flags.d;
+    if (delimiter.length !== 1) {
+      throw new Error('The delimiter must be a single character');
+    }
+    
+    const selected = this.parseRanges(flags.f);
+    const output = lines.map(line => {
+      // Lines without the delimiter pass through unchanged, as in POSIX cut
+      if (!line.includes(delimiter)) return line;
+      return line.split(delimiter).filter((_, i) => selected(i + 1)).join(delimiter);
+    });
+    return { output: output.join('\n'), error: null };
+  }
+
+  static echo(args) {
+    return { output: args.join(' '), error: null };
   }
 
   static search(session, pattern) {
@@ -170,37 +1042,129 @@ clear             Clear terminal`;
   }
 
   static async decrypt(session, path, key) {
-    if (!path || !key) {
-      return { output: 'Usage: decrypt <file> --key <key>', error: null };
+    if (!path) {
+      return { output: 'Usage: decrypt <file> [--key <key>]', error: null };
     }
     
-    const decrypted = VFSEngine.decrypt(session, path, key);
-    
-    // Check puzzle validation
-    await puzzleEngine.checkDecrypt(session, path, key);
+    // Counts wrong keys, enforces lockouts and checks puzzle validation
+    const decrypted = await decryptEngine.attempt(session, path, key);
+    const node = VFSEngine.getNode(session.fs, VFSEngine.resolvePath(session.fs, session.currentPath, path));
     
+    if (node?.contents !== decrypted) {
+      if (cipherRegistry.isVerifiable(node?.contents)) {
+        return { output: `No write access; the file keeps its encryption.\n\n${decrypted}`, error: null };
+      }
+      // The layer had no checksum, so the key could not be confirmed
+      return { output: `Key not verified; the file keeps its encryption.\n\n${decrypted}`, error: null };
+    }
+    // The file was rewritten in place
+    await puzzleEngine.checkChange(session, 'write', VFSEngine.resolvePath(session.fs, session.currentPath, path));
+    if (cipherRegistry.isEncrypted(decrypted)) {
+      return { output: `Layer removed. Another encryption layer remains.\n\n${decrypted}`, error: null };
+    }
     return { output: `File decrypted successfully.\n\n${decrypted}`, error: null };
   }
 
-  static scan(session) {
+  static encrypt(session, path, cipher, key) {
+    if (!path || !cipher || cipher === true) {
+      const names = cipherRegistry.list().map(c => c.name).join(', ');
+      return { output: `Usage: encrypt <file> --cipher <name> --key <key>\nCiphers: ${names}`, error: null };
+    }
+    
+    VFSEngine.encrypt(session, path, cipher, key);
+    return { output: `File encrypted with ${String(cipher).toUpperCase()}.`, error: null };
+  }
+
+  static scan(session, subnet) {
+    if (subnet) {
+      return { output: networkEngine.scan(session, subnet), error: null };
+    }
+    
     const info = [
       '=== SYSTEM SCAN ===',
       `Session: ${session.id.substring(0, 8)}...`,
+      `Host: ${session.network?.host || 'local'}`,
       `Current Path: ${session.currentPath}`,
       `AI Status: ${session.aiState.status} (Level: ${session.aiState.level})`,
       `Filesystem: ${Object.keys(session.fs.root.children || {}).length} top-level entries`
     ];
+    
+    // Hosts the player has discovered or been shown by an effect
+    const known = session.network?.hosts || {};
+    const hosts = Object.entries(networkEngine.getHosts(session)).filter(([name]) => known[name]);
+    if (hosts.length > 0) {
+      info.push('Network hosts:');
+      hosts.forEach(([name, host]) => {
+        info.push(`  ${name}${host.ip ? ` (${host.ip})` : ''}${host.description ? ` - ${host.description}` : ''}`);
+      });
+    }
     return { output: info.join('\n'), error: null };
   }
 
+  /**
+   * Check a command against the scenario's restricted commands, which need
+   * a puzzle's grantCommand effect before they can be used
+   */
+  static isGranted(session, command) {
+    const restricted = scenarioManager.get(session.scenarioId).player.restrictedCommands || [];
+    return !restricted.includes(command) || (session.grantedCommands || []).includes(command);
+  }
+
+  static id(session) {
+    const { user, groups } = VFSEngine.getIdentity(session);
+    return { output: `uid=${user} groups=${(groups || []).join(',') || '(none)'}`, error: null };
+  }
+
+  static su(session, user, password) {
+    if (!user) {
+      session.assumedIdentity = null;
+      return { output: `Switched back to ${VFSEngine.getIdentity(session).user}`, error: null };
+    }
+    
+    const account = session.fs.users?.[user];
+    if (!account || password === undefined || String(account.password) !== password) {
+      throw new Error('su: Authentication failure');
+    }
+    
+    session.assumedIdentity = { user, groups: [...(account.groups || [])] };
+    return { output: `Switched to ${user}`, error: null };
+  }
+
+  static ssh(session, command, destination, password) {
+    const [user, host] = (destination || '').split('@');
+    if (!user || !host) {
+      return { output: `Usage: ${command} <user@host> <password>`, error: null };
+    }
+    return { output: networkEngine.connect(session, host, user, password), error: null };
+  }
+
+  static exit(session) {
+    const host = session.network?.host;
+    networkEngine.disconnect(session);
+    return { output: `Connection to ${host} closed.`, error: null };
+  }
+
+  static async kill(session, args) {
+    // Signals are accepted for familiarity; every kill stops the process
+    const pids = this.parseFlags(args, 's').operands;
+    if (pids.length === 0) {
+      return { output: 'Usage: kill <pid>...', error: null };
+    }
+    
+    const killed = [];
+    for (const pid of pids) {
+      const proc = await processEngine.kill(session, pid);
+      killed.push(`[${proc.pid}] Terminated ${proc.name}`);
+    }
+    return { output: killed.join('\n'), error: null };
+  }
+
   static async hack(session, target) {
     if (!target) {
       return { output: 'Usage: sudo hack <target>', error: null };
     }
     
-    // Trigger AI response
-    await aiEngine.trigger(session, 'suspicious_command', { command: 'hack', target });
-    
+    // The trace engine alerts the AI once the output has been sent
     return { 
       output: `Attempting to hack ${target}...\n[WARNING] Security systems alerted!`, 
       error: null 
@@ -218,12 +1182,101 @@ clear             Clear terminal`;
     };
   }
 
-  static async rm(session, path) {
+  static async rm(session, command, args) {
+    const { flags, operands } = this.parseFlags(args);
+    const path = operands[0];
+    if (!path) {
+      return { output: `Usage: ${command} [-rf] <path>`, error: null };
+    }
+    
+    const resolvedPath = VFSEngine.resolvePath(session.fs, session.currentPath, path);
+    if (flags.f && !VFSEngine.getNode(session.fs, resolvedPath)) {
+      return { output: '', error: null };
+    }
+    
+    const removed = this.changedPaths(session, resolvedPath);
+    const deleted = await VFSEngine.delete(session, path, { recursive: flags.r || flags.R });
+    await this.checkChanges(session, 'delete', removed);
+    return { output: `Deleted: ${deleted}`, error: null };
+  }
+
+  static async rmdir(session, path) {
     if (!path) {
-      return { output: 'Usage: rm <file>', error: null };
+      return { output: 'Usage: rmdir <dir>', error: null };
     }
     
-    const deleted = await VFSEngine.delete(session, path);
+    const deleted = await VFSEngine.removeDirectory(session, path);
+    await this.checkChanges(session, 'delete', [deleted]);
     return { output: `Deleted: ${deleted}`, error: null };
   }
+
+  static async mkdir(session, args) {
+    const { flags, operands } = this.parseFlags(args);
+    if (!operands[0]) {
+      return { output: 'Usage: mkdir [-p] <dir>', error: null };
+    }
+    
+    const created = VFSEngine.makeDirectory(session, operands[0], { parents: flags.p });
+    await this.checkChanges(session, 'write', created);
+    return { output: created.map(path => `Created: ${path}`).join('\n'), error: null };
+  }
+
+  static async touch(session, path) {
+    if (!path) {
+      return { output: 'Usage: touch <file>', error: null };
+    }
+    
+    const touched = VFSEngine.touch(session, path);
+    if (!touched.created) {
+      return { output: '', error: null };
+    }
+    await this.checkChanges(session, 'write', [touched.path]);
+    return { output: `Created: ${touched.path}`, error: null };
+  }
+
+  static async cp(session, args) {
+    const { flags, operands } = this.parseFlags(args);
+    if (operands.length < 2) {
+      return { output: 'Usage: cp [-r] <source> <target>', error: null };
+    }
+    
+    // cp reads what it copies without openFile, so it springs the traps itself
+    const resolvedSource = VFSEngine.resolvePath(session.fs, session.currentPath, operands[0]);
+    for (const path of this.changedPaths(session, resolvedSource)) {
+      await tripwireEngine.touch(session, 'cat', path);
+    }
+    const { source, target } = VFSEngine.copyPath(session, operands[0], operands[1], { recursive: flags.r || flags.R });
+    await this.checkChanges(session, 'write', this.changedPaths(session, target));
+    return { output: `Copied: ${source} -> ${target}`, error: null };
+  }
+
+  static async mv(session, source, target) {
+    if (!source || !target) {
+      return { output: 'Usage: mv <source> <target>', error: null };
+    }
+    
+    const resolvedSource = VFSEngine.resolvePath(session.fs, session.currentPath, source);
+    const removed = this.changedPaths(session, resolvedSource);
+    const moved = VFSEngine.movePath(session, source, target);
+    await this.checkChanges(session, 'delete', removed);
+    await this.checkChanges(session, 'write', this.changedPaths(session, moved.target));
+    return { output: `Moved: ${moved.source} -> ${moved.target}`, error: null };
+  }
+
+  /**
+   * A path and everything below it, for the puzzle triggers a change fires
+   */
+  static changedPaths(session, resolvedPath) {
+    const node = VFSEngine.getNode(session.fs, resolvedPath);
+    return node ? VFSEngine.walk(node, resolvedPath).map(({ path }) => path) : [];
+  }
+
+  /**
+   * Fire 'write' or 'delete' puzzle triggers for paths a command changed
+   */
+  static async checkChanges(session, type, paths) {
+    for (const path of paths) {
+      await puzzleEngine.checkChange(session, type, path);
+    }
+  }
 }
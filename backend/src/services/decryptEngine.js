@@ -0,0 +1,91 @@
+/**
+ * Decrypt Engine
+ * Guards a player's decrypt attempts. A wrong key is rejected without
+ * touching the file (see cipherRegistry) and counted against that file in
+ * the player's filesystem: too many failures lock it for a while. The
+ * failure itself is noise for traceEngine to measure, not an AI event. A
+ * pack's ai.json `decrypt` section overrides the limits below (see
+ * QUICKSTART.md).
+ */
+
+import scenarioManager from './scenarioManager.js';
+import puzzleEngine from './puzzleEngine.js';
+import { VFSEngine } from './vfsEngine.js';
+
+const defaultDecryptConfig = {
+  maxAttempts: 5, // failures before the file locks (0 never locks)
+  lockoutSeconds: 60
+};
+
+class DecryptEngine {
+  /**
+   * Get the pack's decrypt limits, merged over the defaults. A file's
+   * `meta.maxAttempts` and `meta.lockoutSeconds` win over both.
+   */
+  getConfig(session, node) {
+    let config = {};
+    try {
+      config = scenarioManager.get(session.scenarioId).ai.decrypt || {};
+    } catch (err) {
+      console.warn('Failed to load scenario decrypt settings:', err.message);
+    }
+    const overrides = {};
+    for (const key of ['maxAttempts', 'lockoutSeconds']) {
+      if (typeof node?.meta?.[key] === 'number') overrides[key] = node.meta[key];
+    }
+    return { ...defaultDecryptConfig, ...config, ...overrides };
+  }
+
+  /**
+   * Remove one encryption layer from a file for a player. Returns the
+   * decrypted text; throws if the file is locked out or the key is wrong.
+   */
+  async attempt(session, path, key) {
+    const resolvedPath = VFSEngine.resolvePath(session.fs, session.currentPath, path);
+    const node = VFSEngine.getNode(session.fs, resolvedPath);
+    const attempts = node?.meta?.decryptAttempts;
+    
+    if (attempts?.lockedUntil) {
+      const wait = Math.ceil((attempts.lockedUntil - Date.now()) / 1000);
+      if (wait > 0) {
+        throw new Error(`${path} is locked after ${attempts.failures} failed attempts. Try again in ${wait}s`);
+      }
+      // Lockout served: the player starts over
+      delete node.meta.decryptAttempts;
+    }
+    
+    const decrypted = VFSEngine.decrypt(session, path, key);
+    if (decrypted === null) {
+      throw new Error(await this.fail(session, node, resolvedPath, key));
+    }
+    
+    delete node.meta.decryptAttempts;
+    await puzzleEngine.checkDecrypt(session, resolvedPath, key);
+    return decrypted;
+  }
+
+  /**
+   * Count a wrong key against a file: the puzzle guarding it sees the
+   * failure and `maxAttempts` lock the file. Returns the message for the
+   * player.
+   */
+  async fail(session, node, path, key) {
+    const config = this.getConfig(session, node);
+    const failures = (node.meta.decryptAttempts?.failures || 0) + 1;
+    node.meta.decryptAttempts = { failures };
+    
+    await puzzleEngine.checkDecrypt(session, path, key, { wrongKey: true });
+    
+    if (config.maxAttempts <= 0) {
+      return 'Decryption failed: wrong key';
+    }
+    if (failures >= config.maxAttempts) {
+      node.meta.decryptAttempts.lockedUntil = Date.now() + config.lockoutSeconds * 1000;
+      return `Decryption failed: wrong key. ${path} locked for ${config.lockoutSeconds}s`;
+    }
+    const left = config.maxAttempts - failures;
+    return `Decryption failed: wrong key (${left} attempt${left === 1 ? '' : 's'} left)`;
+  }
+}
+
+export default new DecryptEngine();
@@ -0,0 +1,33 @@
+/**
+ * Event Bus
+ * Lets services notify players without depending on Socket.IO.
+ * server.js relays every event to the session room and its admin viewers.
+ */
+
+import { EventEmitter } from 'events';
+import networkEngine from './networkEngine.js';
+
+class EventBus extends EventEmitter {
+  /**
+   * Send a socket event to a session (player terminal and admin viewers)
+   */
+  toSession(sessionId, event, data) {
+    this.emit('session_event', { sessionId, event, data });
+  }
+
+  /**
+   * Print a message in a session's terminal
+   */
+  notify(sessionId, content, type = 'system') {
+    this.toSession(sessionId, 'output', { type, content: content.endsWith('\n') ? content : `${content}\n` });
+  }
+
+  /**
+   * Redraw a session's prompt after an out-of-band message
+   */
+  prompt(session) {
+    this.toSession(session.id, 'output', { type: 'prompt', content: networkEngine.prompt(session) });
+  }
+}
+
+export default new EventBus();
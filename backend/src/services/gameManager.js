@@ -0,0 +1,176 @@
+/**
+ * Game Manager
+ * A game is one table: its own join code, scenario pack, round and player
+ * roster. Players without a join code sit at the default table.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/database.js';
+import scenarioManager from './scenarioManager.js';
+
+export const DEFAULT_GAME_ID = 'default';
+
+// Join codes avoid characters that are easy to misread (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+class GameManager {
+  constructor() {
+    this.games = new Map(); // gameId -> game
+  }
+
+  /**
+   * Load every open game from the database, creating the default table on
+   * first run. A game whose round was never ended is still in progress.
+   */
+  load() {
+    const rows = db.prepare('SELECT * FROM games WHERE ended = 0').all();
+    for (const row of rows) {
+      const openRound = db.prepare(`
+        SELECT id FROM rounds WHERE game_id = ? AND ended_at IS NULL ORDER BY id DESC LIMIT 1
+      `).get(row.id);
+      this.games.set(row.id, {
+        id: row.id,
+        name: row.name,
+        code: row.code,
+        scenarioId: row.scenario_id || scenarioManager.activeScenarioId,
+        roundId: openRound?.id || null,
+        roundStarted: !!openRound,
+        createdAt: row.created_at
+      });
+    }
+    
+    if (!this.games.has(DEFAULT_GAME_ID)) {
+      this.insert(DEFAULT_GAME_ID, 'Main table', scenarioManager.activeScenarioId);
+    }
+    return this.games.size;
+  }
+
+  /**
+   * Create a new table on a scenario pack (defaults to the active pack)
+   */
+  createGame(name, scenarioId = scenarioManager.activeScenarioId) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Game name required');
+    }
+    const pack = scenarioManager.get(scenarioId);
+    return this.insert(uuidv4(), name.trim(), pack.id);
+  }
+
+  /**
+   * Store a new game with a fresh join code
+   */
+  insert(id, name, scenarioId) {
+    const game = {
+      id,
+      name,
+      code: this.generateCode(),
+      scenarioId,
+      roundId: null,
+      roundStarted: false,
+      createdAt: new Date().toISOString()
+    };
+    db.prepare('INSERT INTO games (id, name, code, scenario_id) VALUES (?, ?, ?, ?)')
+      .run(game.id, game.name, game.code, game.scenarioId);
+    this.games.set(id, game);
+    return game;
+  }
+
+  /**
+   * Pick a join code no open game uses
+   */
+  generateCode() {
+    const taken = new Set(Array.from(this.games.values()).map(g => g.code));
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () =>
+        CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]
+      ).join('');
+    } while (taken.has(code));
+    return code;
+  }
+
+  /**
+   * Get a game by id, throwing if it does not exist
+   */
+  getGame(gameId = DEFAULT_GAME_ID) {
+    const game = this.games.get(gameId);
+    if (!game) {
+      throw new Error(`Unknown game: ${gameId}`);
+    }
+    return game;
+  }
+
+  /**
+   * Find the game a join code belongs to (case-insensitive)
+   */
+  getByCode(code) {
+    const wanted = String(code || '').trim().toUpperCase();
+    const game = Array.from(this.games.values()).find(g => g.code === wanted);
+    if (!game) {
+      throw new Error(`No game with join code ${wanted}`);
+    }
+    return game;
+  }
+
+  /**
+   * List all open games
+   */
+  listGames() {
+    return Array.from(this.games.values());
+  }
+
+  /**
+   * Switch the pack a game's next round is played on
+   */
+  setScenario(gameId, scenarioId) {
+    const game = this.getGame(gameId);
+    game.scenarioId = scenarioManager.get(scenarioId).id;
+    this.persist(game);
+    return game;
+  }
+
+  /**
+   * Record that a game's round has started or ended. Starting opens a
+   * rounds row, ending closes it.
+   */
+  setRound(gameId, started) {
+    const game = this.getGame(gameId);
+    if (started && !game.roundId) {
+      game.roundId = db.prepare('INSERT INTO rounds (scenario_id, game_id) VALUES (?, ?)')
+        .run(game.scenarioId, game.id).lastInsertRowid;
+    }
+    if (!started && game.roundId) {
+      db.prepare('UPDATE rounds SET ended_at = CURRENT_TIMESTAMP WHERE id = ?').run(game.roundId);
+      game.roundId = null;
+    }
+    game.roundStarted = started;
+    return game;
+  }
+
+  /**
+   * Close a game. The default table cannot be closed.
+   */
+  endGame(gameId) {
+    const game = this.getGame(gameId);
+    if (game.id === DEFAULT_GAME_ID) {
+      throw new Error('The default game cannot be ended');
+    }
+    if (game.roundStarted) {
+      throw new Error('End the round before closing the game');
+    }
+    db.prepare('UPDATE games SET ended = 1 WHERE id = ?').run(game.id);
+    this.games.delete(game.id);
+    return game;
+  }
+
+  /**
+   * Save a game's name and scenario
+   */
+  persist(game) {
+    db.prepare('UPDATE games SET name = ?, scenario_id = ? WHERE id = ?')
+      .run(game.name, game.scenarioId, game.id);
+  }
+}
+
+export default new GameManager();
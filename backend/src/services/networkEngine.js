@@ -0,0 +1,282 @@
+/**
+ * Network Engine
+ * Remote hosts a player can discover and log in to. A pack's `network` file
+ * defines hosts with an IP, open ports and their own filesystem seed;
+ * spawnNetworkHost effects add more per player. Logging in pushes the
+ * current host on a stack and swaps the session's filesystem, path and
+ * identity for the remote host's, so every VFSEngine operation runs against
+ * the host the player is on. See QUICKSTART.md for the host format.
+ *
+ * session.network = {
+ *   hosts: { name -> { ip, description, ports, discovered, fs } },
+ *   host: name of the current host (absent at home),
+ *   stack: [{ host, currentPath, identity, assumedIdentity, fs }]
+ * }
+ * A frame only keeps `fs` for the home filesystem; a remote host's lives in
+ * `hosts[name].fs`.
+ */
+
+import scenarioManager from './scenarioManager.js';
+import { VFSEngine } from './vfsEngine.js';
+import { SeedCompiler } from './seedCompiler.js';
+
+const SSH_PORT = 22;
+
+/**
+ * Parse a dotted IPv4 address into a 32-bit number, or null
+ */
+function parseIp(ip) {
+  const parts = String(ip).split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+/**
+ * Parse a scan target into an address range: `10.0.0.0/24`, `10.0.0.*`,
+ * `10.0.0` or a single address
+ */
+function parseSubnet(target) {
+  let [base, bits] = String(target).split('/');
+  const octets = base.split('.').filter(octet => octet !== '*' && octet !== '');
+  if (bits === undefined) {
+    bits = octets.length * 8;
+  }
+  const prefix = Number(bits);
+  const start = parseIp([...octets, 0, 0, 0, 0].slice(0, 4).join('.'));
+  if (start === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32 || octets.length > 4) {
+    throw new Error(`scan: invalid subnet: ${target}`);
+  }
+  const size = 2 ** (32 - prefix);
+  const first = Math.floor(start / size) * size;
+  return { first, last: first + size - 1 };
+}
+
+class NetworkEngine {
+  /**
+   * Get the session's network state, creating it for older saves
+   */
+  getState(session) {
+    if (!session.network) {
+      session.network = { hosts: {} };
+    }
+    session.network.hosts ||= {};
+    session.network.stack ||= [];
+    return session.network;
+  }
+
+  /**
+   * Every host the player can reach: the pack's visible hosts plus the ones
+   * effects have spawned or revealed for them
+   */
+  getHosts(session) {
+    let packHosts = {};
+    try {
+      packHosts = scenarioManager.get(session.scenarioId).network.hosts || {};
+    } catch (err) {
+      console.warn('Failed to load scenario network:', err.message);
+    }
+    const known = this.getState(session).hosts;
+    
+    const hosts = {};
+    for (const [name, host] of Object.entries(packHosts)) {
+      if (host.hidden && !known[name]) continue;
+      hosts[name] = { name, ...host, ...known[name] };
+    }
+    for (const [name, host] of Object.entries(known)) {
+      hosts[name] ||= { name, ...host };
+    }
+    return hosts;
+  }
+
+  /**
+   * Find a reachable host by name or IP
+   */
+  findHost(session, target) {
+    const hosts = Object.values(this.getHosts(session));
+    return hosts.find(host => host.name === target || host.ip === target) || null;
+  }
+
+  /**
+   * Probe a subnet and report each host's open ports. Hosts found are
+   * remembered as discovered.
+   */
+  scan(session, target) {
+    const { first, last } = parseSubnet(target);
+    const found = Object.values(this.getHosts(session))
+      .filter(host => {
+        const ip = parseIp(host.ip);
+        return ip !== null && ip >= first && ip <= last;
+      })
+      .sort((a, b) => parseIp(a.ip) - parseIp(b.ip));
+    
+    const known = this.getState(session).hosts;
+    const lines = [`Scanning ${target}...`];
+    for (const host of found) {
+      known[host.name] = { ...known[host.name], discovered: true };
+      lines.push('', `Scan report for ${host.name} (${host.ip})`);
+      if (host.description) {
+        lines.push(host.description);
+      }
+      const ports = host.ports || [];
+      if (ports.length === 0) {
+        lines.push('All scanned ports are filtered');
+        continue;
+      }
+      lines.push('PORT       STATE  SERVICE');
+      ports.forEach(({ port, service }) => {
+        lines.push(`${`${port}/tcp`.padEnd(10)} open   ${service || 'unknown'}`);
+      });
+    }
+    lines.push('', `Scan done: ${found.length} host${found.length === 1 ? '' : 's'} up`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Log in to a host over SSH with an account from its filesystem's `users`.
+   * Returns the host's banner.
+   */
+  connect(session, target, user, password) {
+    const host = this.findHost(session, target);
+    if (!host) {
+      throw new Error(`ssh: Could not resolve hostname ${target}`);
+    }
+    if (!(host.ports || []).some(({ port, service }) => port === SSH_PORT || service === 'ssh')) {
+      throw new Error(`ssh: connect to host ${target} port ${SSH_PORT}: Connection refused`);
+    }
+    const network = this.getState(session);
+    if (network.host === host.name) {
+      throw new Error(`ssh: already logged in to ${host.name}`);
+    }
+    
+    const fs = this.getHostFS(session, host);
+    const account = fs.users?.[user];
+    if (!account || password === undefined || String(account.password) !== String(password)) {
+      throw new Error(`ssh: ${user}@${host.name}: Permission denied`);
+    }
+    
+    // Park the current host; the home filesystem travels with its frame
+    network.stack.push({
+      host: network.host || null,
+      currentPath: session.currentPath,
+      identity: session.identity,
+      assumedIdentity: session.assumedIdentity,
+      ...(network.host ? {} : { fs: session.fs })
+    });
+    network.host = host.name;
+    session.fs = fs;
+    session.identity = { user, groups: [...(account.groups || [])] };
+    session.assumedIdentity = null;
+    session.currentPath = account.home && VFSEngine.getNode(fs, account.home) ? account.home : '/';
+    
+    return host.banner || `Connected to ${host.name} (${host.ip}).`;
+  }
+
+  /**
+   * Log out of the current host, back to the one the player came from.
+   * Returns the name of that host (null for home).
+   */
+  disconnect(session) {
+    const network = this.getState(session);
+    const frame = network.stack.pop();
+    if (!frame) {
+      throw new Error('exit: not logged in to a remote host');
+    }
+    
+    session.fs = frame.host ? network.hosts[frame.host].fs : frame.fs;
+    session.currentPath = frame.currentPath;
+    session.identity = frame.identity;
+    session.assumedIdentity = frame.assumedIdentity || null;
+    if (frame.host) {
+      network.host = frame.host;
+    } else {
+      delete network.host;
+    }
+    return frame.host;
+  }
+
+  /**
+   * Get the player's copy of a host's filesystem, seeding it on first login
+   */
+  getHostFS(session, host) {
+    const known = this.getState(session).hosts;
+    known[host.name] ||= {};
+    if (!known[host.name].fs) {
+      // Pack hosts come compiled; a spawned host may carry an inline seed
+      const seed = host.seed || SeedCompiler.compile(host.filesystem || { root: { type: 'dir', children: {} } });
+      known[host.name].fs = VFSEngine.initPermissions(VFSEngine.cloneFS(seed));
+    }
+    return known[host.name].fs;
+  }
+
+  /**
+   * The player's filesystem on a host (null for home), or null if they have
+   * never logged in there
+   */
+  getFS(session, hostName) {
+    const network = session.network || {};
+    if ((hostName || null) === (network.host || null)) return session.fs;
+    if (hostName) return network.hosts?.[hostName]?.fs || null;
+    return network.stack?.[0]?.fs || null;
+  }
+
+  /**
+   * The session as seen from one host's filesystem: the player's own machine
+   * when `hostName` is null. Puzzle effects, the security AI and GM tools act
+   * through this, so they reach the player's machine (or the host they name)
+   * wherever the player is logged in. Path, identity and filesystem come from
+   * the host's parked frame; everything else is the session itself.
+   */
+  view(session, hostName = null) {
+    const network = session.network || {};
+    if ((hostName || null) === (network.host || null)) return session;
+    
+    let frame;
+    let fs;
+    if (hostName) {
+      const host = this.findHost(session, hostName);
+      if (!host) {
+        throw new Error(`Unknown host: ${hostName}`);
+      }
+      frame = network.stack?.find(parked => parked.host === host.name);
+      fs = this.getHostFS(session, host);
+    } else {
+      frame = network.stack[0];
+      fs = frame.fs;
+    }
+    
+    const state = {
+      fs,
+      currentPath: frame?.currentPath || '/',
+      identity: frame ? frame.identity : session.identity,
+      assumedIdentity: frame ? frame.assumedIdentity || null : session.assumedIdentity
+    };
+    return new Proxy(session, {
+      get: (target, key) => (key in state ? state[key] : target[key]),
+      set: (target, key, value) => {
+        if (!(key in state)) {
+          target[key] = value;
+          return true;
+        }
+        // e.g. a changeDirectory effect moves the parked path
+        state[key] = value;
+        if (frame && key !== 'fs') frame[key] = value;
+        return true;
+      }
+    });
+  }
+
+  /**
+   * The shell prompt: the path, prefixed with user@host away from home
+   */
+  prompt(session) {
+    const host = session.network?.host;
+    if (!host) {
+      return `${session.currentPath} $ `;
+    }
+    return `${VFSEngine.getIdentity(session).user}@${host}:${session.currentPath} $ `;
+  }
+}
+
+export default new NetworkEngine();
@@ -0,0 +1,156 @@
+/**
+ * Process Engine
+ * A per-session process table. A pack's `processes` file declares the
+ * daemons running on the player's machine, and a network host's
+ * `processes` list those on that host; the table is seeded from them the
+ * first time a player looks. Killing a daemon runs its `onKill` effects,
+ * and killing a `watchdog` pauses the security AI's trace until it raises
+ * the alarm. See QUICKSTART.md for the process format.
+ *
+ * Entries: { pid, name, user, command, cpu, mem, startedAt, watchdog,
+ *            onKill, protected }
+ */
+
+import scenarioManager from './scenarioManager.js';
+import networkEngine from './networkEngine.js';
+import aiEngine from './aiEngine.js';
+import puzzleEngine from './puzzleEngine.js';
+import { PuzzleSchema } from './puzzleSchema.js';
+import { VFSEngine } from './vfsEngine.js';
+
+const FIRST_PID = 100; // daemons without a pid are numbered from here
+
+class ProcessEngine {
+  /**
+   * Get the process table of the host the player is on, seeding it from the
+   * pack (or the host's definition) on first use. Throws if the pack cannot
+   * be loaded.
+   */
+  getTable(session) {
+    const host = session.network?.host;
+    if (host) {
+      const known = networkEngine.getState(session).hosts[host];
+      known.processes ||= this.seed(networkEngine.findHost(session, host)?.processes || []);
+      return known.processes;
+    }
+    
+    if (!session.processes) {
+      session.processes = this.seed(scenarioManager.get(session.scenarioId).processes);
+    }
+    return session.processes;
+  }
+
+  /**
+   * Start a table from daemon definitions. Definitions without a pid are
+   * numbered after the highest one given.
+   */
+  seed(definitions) {
+    let nextPid = Math.max(FIRST_PID - 1, ...definitions.map(def => def.pid || 0)) + 1;
+    return definitions.map(def => this.build(def, def.pid || nextPid++));
+  }
+
+  /**
+   * Build a table entry from a definition
+   */
+  build(def, pid) {
+    return {
+      pid,
+      name: def.name,
+      user: def.user || 'root',
+      command: def.command,
+      cpu: Number(def.cpu) || 0,
+      mem: Number(def.mem) || 0,
+      startedAt: new Date().toISOString(),
+      ...(def.watchdog && { watchdog: def.watchdog === true ? {} : def.watchdog }),
+      ...(def.onKill && { onKill: def.onKill }),
+      ...(def.protected && { protected: true })
+    };
+  }
+
+  /**
+   * List the current host's processes by pid
+   */
+  list(session) {
+    return [...this.getTable(session)].sort((a, b) => a.pid - b.pid);
+  }
+
+  /**
+   * Render the process table as `ps` prints it. `top` adds a summary and
+   * orders by CPU.
+   */
+  format(session, top = false) {
+    const processes = this.list(session);
+    const lines = [];
+    if (top) {
+      processes.sort((a, b) => b.cpu - a.cpu);
+      const cpu = processes.reduce((sum, proc) => sum + proc.cpu, 0);
+      const mem = processes.reduce((sum, proc) => sum + proc.mem, 0);
+      lines.push(
+        `top - ${new Date().toTimeString().slice(0, 8)}  ${processes.length} tasks, ${cpu.toFixed(1)}% cpu, ${mem.toFixed(1)}% mem`,
+        ''
+      );
+    }
+    lines.push('  PID USER         %CPU %MEM COMMAND');
+    processes.forEach(proc => {
+      lines.push(
+        `${String(proc.pid).padStart(5)} ${proc.user.padEnd(12)} ${proc.cpu.toFixed(1).padStart(4)} ${proc.mem.toFixed(1).padStart(4)} ${proc.command}`
+      );
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Stop a process and run its consequences. Players may only kill their
+   * own processes (root kills any); `force` is the GM's override. Protected
+   * processes cannot be killed by players at all. Returns the killed entry.
+   */
+  async kill(session, pid, { force = false } = {}) {
+    const table = this.getTable(session);
+    const index = table.findIndex(proc => proc.pid === Number(pid));
+    if (index === -1) {
+      throw new Error(`kill: (${pid}) - No such process`);
+    }
+    
+    const proc = table[index];
+    const { user } = VFSEngine.getIdentity(session);
+    if (!force && (proc.protected || (user !== 'root' && user !== proc.user))) {
+      throw new Error(`kill: (${pid}) - Operation not permitted`);
+    }
+    
+    table.splice(index, 1);
+    if (proc.watchdog) {
+      aiEngine.pauseTrace(session, proc.watchdog, proc.name);
+    }
+    for (const effect of proc.onKill || []) {
+      await puzzleEngine.executeEffect(session, effect);
+    }
+    return proc;
+  }
+
+  /**
+   * Start a process on the player's current host (GM action). Starting a
+   * watchdog resumes a paused trace.
+   */
+  spawn(session, def = {}) {
+    if (!def.name || !def.command) {
+      throw new Error('Process name and command required');
+    }
+    if (def.pid !== undefined && (!Number.isInteger(def.pid) || def.pid < 1)) {
+      throw new Error('pid must be a positive integer');
+    }
+    PuzzleSchema.validateEffects(def.onKill, 'onKill');
+    
+    const table = this.getTable(session);
+    if (def.pid !== undefined && table.some(proc => proc.pid === def.pid)) {
+      throw new Error(`PID ${def.pid} is already in use`);
+    }
+    const proc = this.build(def, def.pid ?? Math.max(FIRST_PID - 1, ...table.map(p => p.pid)) + 1);
+    table.push(proc);
+    if (proc.watchdog) {
+      aiEngine.resumeTrace(session);
+    }
+    return proc;
+  }
+}
+
+export default new ProcessEngine();
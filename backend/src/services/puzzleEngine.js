@@ -3,135 +3,296 @@
  * Manages puzzle triggers, validation, and effects
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { VFSEngine } from './vfsEngine.js';
+import { RuleEngine } from './ruleEngine.js';
+import { fileActions } from './puzzleSchema.js';
+import scenarioManager from './scenarioManager.js';
+import networkEngine from './networkEngine.js';
+import sessionManager from './sessionManager.js';
+import eventBus from './eventBus.js';
 import db from '../db/database.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Triggers fired by the player changing the filesystem
+const changeTriggers = ['write', 'delete'];
 
-const puzzlesDir = path.join(__dirname, '../../../content/puzzles');
-let puzzles = [];
-
-// Load puzzles from JSON files
-function loadPuzzles() {
-  puzzles = [];
-  if (!fs.existsSync(puzzlesDir)) {
-    fs.mkdirSync(puzzlesDir, { recursive: true });
-    return;
-  }
-  
-  const files = fs.readdirSync(puzzlesDir).filter(f => f.endsWith('.json'));
-  for (const file of files) {
-    try {
-      const puzzle = JSON.parse(fs.readFileSync(path.join(puzzlesDir, file), 'utf-8'));
-      puzzles.push(puzzle);
-    } catch (err) {
-      console.warn(`Failed to load puzzle ${file}:`, err.message);
-    }
-  }
+/**
+ * Whether a trigger matches an event on a host (null for home)
+ */
+function matchesTrigger(trigger, type, path, host) {
+  return trigger.type === type && trigger.path === path && (trigger.host || null) === host;
 }
 
-// Load puzzles on startup
-loadPuzzles();
+/**
+ * Identify a trigger in a puzzle's fired list. A remote host's triggers are
+ * keyed by it so the same path elsewhere stays separate.
+ */
+function triggerKey(trigger) {
+  return `${trigger.host ? `${trigger.host}:` : ''}${trigger.type}:${trigger.path}`;
+}
 
 class PuzzleEngine {
+  constructor() {
+    this.timers = new Map(); // `${sessionId}:${timerId}` -> timeout handle
+    
+    // Timers belong to the game they were started in
+    eventBus.on('session_reset', ({ sessionId }) => this.clearTimers(sessionId));
+    // Deadlines are saved with the session and pick up again after a restart
+    eventBus.on('session_restored', ({ session }) => this.restoreTimers(session));
+  }
+
   /**
    * Check if a trigger condition is met
    */
   async checkTrigger(session, type, path) {
-    for (const puzzle of puzzles) {
-      if (session.puzzleState[puzzle.id]?.solved) continue;
-      
-      const triggers = puzzle.triggers || [];
-      for (const trigger of triggers) {
-        if (trigger.type === type && trigger.path === path) {
-          await this.handleTrigger(session, puzzle);
-        }
-      }
-    }
+    await this.handleEvent(session, type, path, { filePath: path });
+  }
+
+  /**
+   * Check a path the player changed: 'write' when a file or directory is
+   * saved or created there (edit, cp, mv, touch, mkdir), 'delete' when it is
+   * removed (rm, rmdir, mv)
+   */
+  async checkChange(session, type, filePath) {
+    await this.handleEvent(session, type, filePath, { filePath });
+  }
+
+  /**
+   * Check decrypt attempt. `wrongKey` marks an attempt the file itself
+   * rejected, which fails the puzzle whatever its validation says.
+   */
+  async checkDecrypt(session, filePath, key, { wrongKey = false } = {}) {
+    await this.handleEvent(session, 'decrypt', filePath, { key, filePath, wrongKey });
   }
 
   /**
-   * Check decrypt attempt
+   * Record a trigger event against every available puzzle and complete the
+   * puzzles (or steps) whose trigger conditions are now met
    */
-  async checkDecrypt(session, filePath, key) {
-    for (const puzzle of puzzles) {
-      if (puzzle.solved) continue;
+  async handleEvent(session, type, path, context) {
+    // Decide availability up front so solving a prerequisite does not let the
+    // same event count towards the puzzles that depend on it
+    const available = this.getPuzzles(session.scenarioId)
+      .filter(puzzle => !session.puzzleState[puzzle.id]?.solved && this.requirementsMet(session, puzzle));
+    const host = session.network?.host || null;
+    let changed = false;
+    
+    for (const puzzle of available) {
+      const stepIndex = session.puzzleState[puzzle.id]?.step || 0;
+      const stage = puzzle.steps ? puzzle.steps[stepIndex] : puzzle;
+      const { triggers, needed } = this.getTriggerSpec(stage);
+      const matched = triggers.filter(trigger => matchesTrigger(trigger, type, path, host));
+      if (matched.length === 0) continue;
+      
+      // Decrypt attempts must open the file and pass the puzzle's (or step's) validation
+      if (type === 'decrypt' && (context.wrongKey || !this.validateSolution(session, stage, context))) {
+        await this.onFailure(session, puzzle, { wrongKey: context.wrongKey });
+        changed = true;
+        continue;
+      }
+      // Changes only count once they pass validation; the player may keep trying
+      if (changeTriggers.includes(type) && !this.validateSolution(session, stage, context)) continue;
       
-      const triggers = puzzle.triggers || [];
-      for (const trigger of triggers) {
-        if (trigger.type === 'decrypt' && trigger.path === filePath) {
-          const isValid = this.validateSolution(session, puzzle, { key, filePath });
-          
-          if (isValid) {
-            await this.onSuccess(session, puzzle);
-          } else {
-            await this.onFailure(session, puzzle);
-          }
+      const state = this.getState(session, puzzle);
+      matched.forEach(trigger => {
+        const key = triggerKey(trigger);
+        if (!state.fired.includes(key)) {
+          state.fired.push(key);
+          changed = true;
         }
+      });
+      
+      if (state.fired.length < needed) continue;
+      
+      // Steps complete once their triggers fire; whole puzzles need autoSolve
+      // or a validated decrypt or change
+      if (puzzle.steps || puzzle.autoSolve || type === 'decrypt' || changeTriggers.includes(type)) {
+        await this.completeStage(session, puzzle, state);
+        changed = true;
       }
     }
+    
+    if (changed) {
+      this.emitProgress(session);
+    }
   }
 
   /**
-   * Handle trigger event
+   * Send a session's puzzle progress to the admin dashboard
    */
-  async handleTrigger(session, puzzle) {
-    // Some puzzles just trigger on open, no validation needed
-    if (puzzle.autoSolve) {
-      await this.onSuccess(session, puzzle);
+  emitProgress(session) {
+    eventBus.toSession(session.id, 'puzzle_progress', { puzzles: this.getProgress(session) });
+  }
+
+  /**
+   * Summarise a session's progress on every puzzle of its scenario
+   */
+  getProgress(session) {
+    return this.getPuzzles(session.scenarioId).map(puzzle => {
+      const state = session.puzzleState?.[puzzle.id] || {};
+      const stepIndex = state.step || 0;
+      const stage = puzzle.steps ? puzzle.steps[Math.min(stepIndex, puzzle.steps.length - 1)] : puzzle;
+      return {
+        id: puzzle.id,
+        desc: puzzle.desc || '',
+        solved: !!state.solved,
+        available: this.requirementsMet(session, puzzle),
+        step: puzzle.steps ? Math.min(stepIndex + (state.solved ? 0 : 1), puzzle.steps.length) : null,
+        steps: puzzle.steps ? puzzle.steps.length : null,
+        fired: state.solved ? 0 : (state.fired || []).length,
+        needed: this.getTriggerSpec(stage).needed,
+        failures: state.failures || 0,
+        timestamp: state.timestamp || null
+      };
+    });
+  }
+
+  /**
+   * Solve a puzzle for one session as if the player had, running its effects
+   */
+  async markSolved(session, puzzleId) {
+    const puzzle = this.getPuzzle(session.scenarioId, puzzleId);
+    if (session.puzzleState?.[puzzle.id]?.solved) {
+      throw new Error(`Puzzle already solved: ${puzzleId}`);
     }
+    
+    await this.onSuccess(session, puzzle);
+    this.emitProgress(session);
   }
 
   /**
-   * Validate puzzle solution
+   * Forget a session's progress on a puzzle. Effects already applied stay.
    */
-  validateSolution(session, puzzle, context) {
-    if (!puzzle.validate) return true;
+  resetPuzzle(session, puzzleId) {
+    const puzzle = this.getPuzzle(session.scenarioId, puzzleId);
+    delete session.puzzleState[puzzle.id];
     
-    // Simple string matching
-    if (typeof puzzle.validate === 'string') {
-      if (puzzle.validate.startsWith('key:')) {
-        const expectedKey = puzzle.validate.substring(4).trim();
-        return String(context.key) === expectedKey;
-      }
-      if (puzzle.validate.startsWith('file_contains:')) {
-        const expectedText = puzzle.validate.substring(14).trim();
-        try {
-          const file = VFSEngine.readFile(session, context.filePath);
-          return file.contents.includes(expectedText);
-        } catch {
-          return false;
-        }
-      }
+    db.prepare(`
+      INSERT INTO puzzle_events (session_id, puzzle_id, event_type, details)
+      VALUES (?, ?, ?, ?)
+    `).run(session.id, puzzle.id, 'reset', JSON.stringify({}));
+    
+    this.emitProgress(session);
+  }
+
+  /**
+   * Dry-run a (possibly unsaved) puzzle against a session without changing it.
+   * Reports which trigger paths exist and, for a given event, whether it would
+   * match the current stage and pass validation.
+   */
+  testPuzzle(session, puzzle, { type, path, key } = {}) {
+    const state = session.puzzleState?.[puzzle.id] || {};
+    const stepIndex = state.step || 0;
+    const stage = puzzle.steps ? puzzle.steps[Math.min(stepIndex, puzzle.steps.length - 1)] : puzzle;
+    const { triggers, needed } = this.getTriggerSpec(stage);
+    
+    const report = {
+      requirementsMet: this.requirementsMet(session, puzzle),
+      missingRequirements: (puzzle.requires || []).filter(id => !session.puzzleState?.[id]?.solved),
+      solved: !!state.solved,
+      step: puzzle.steps ? stage.id || String(stepIndex + 1) : null,
+      needed,
+      triggers: triggers.map(trigger => {
+        const fs = networkEngine.getFS(session, trigger.host);
+        return {
+          ...trigger,
+          exists: !!(fs && VFSEngine.getNode(fs, trigger.path)),
+          fired: (state.fired || []).includes(triggerKey(trigger))
+        };
+      })
+    };
+    
+    if (type && path) {
+      report.event = { type, path };
+      report.matches = triggers.some(trigger => matchesTrigger(trigger, type, path, session.network?.host || null));
+      report.validates = type === 'open'
+        ? true
+        : this.validateSolution(session, stage, { key, filePath: path });
+    }
+    return report;
+  }
+
+  /**
+   * Check that every puzzle listed in `requires` is solved
+   */
+  requirementsMet(session, puzzle) {
+    return (puzzle.requires || []).every(id => session.puzzleState[id]?.solved);
+  }
+
+  /**
+   * Get (creating if needed) a session's progress on a puzzle
+   */
+  getState(session, puzzle) {
+    if (!session.puzzleState) {
+      session.puzzleState = {};
+    }
+    const state = session.puzzleState[puzzle.id] || {};
+    session.puzzleState[puzzle.id] = {
+      solved: false,
+      step: 0,
+      fired: [],
+      completedSteps: [],
+      ...state
+    };
+    return session.puzzleState[puzzle.id];
+  }
+
+  /**
+   * Get a puzzle's (or step's) triggers and how many distinct ones must fire.
+   * `allOf` needs every trigger; `anyOf` and a plain `triggers` list need one
+   * unless `count` asks for more.
+   */
+  getTriggerSpec(stage) {
+    if (stage.allOf) {
+      return { triggers: stage.allOf, needed: stage.allOf.length };
+    }
+    const triggers = stage.anyOf || stage.triggers || [];
+    return { triggers, needed: Math.min(stage.count || 1, triggers.length) };
+  }
+
+  /**
+   * Complete the current step (running its effects) or the whole puzzle
+   */
+  async completeStage(session, puzzle, state) {
+    if (!puzzle.steps) {
+      await this.onSuccess(session, puzzle);
+      return;
     }
     
-    // Function-based validation (simple sandbox)
-    if (typeof puzzle.validate === 'object' && puzzle.validate.type === 'function') {
-      try {
-        // For security, only allow simple checks
-        const func = new Function('session', 'context', puzzle.validate.code);
-        return func(session, context);
-      } catch (err) {
-        console.error('Puzzle validation error:', err);
-        return false;
-      }
+    const step = puzzle.steps[state.step];
+    const stepId = step.id || String(state.step + 1);
+    state.completedSteps.push(stepId);
+    state.step++;
+    state.fired = [];
+    
+    db.prepare(`
+      INSERT INTO puzzle_events (session_id, puzzle_id, event_type, details)
+      VALUES (?, ?, ?, ?)
+    `).run(session.id, puzzle.id, 'step_completed', JSON.stringify({ step: stepId }));
+    
+    for (const effect of step.onComplete || []) {
+      await this.executeEffect(session, effect);
     }
     
-    return false;
+    if (state.step >= puzzle.steps.length) {
+      await this.onSuccess(session, puzzle);
+    }
+  }
+
+  /**
+   * Validate puzzle solution against its declarative rule
+   */
+  validateSolution(session, puzzle, context) {
+    if (!puzzle.validate) return true;
+    return RuleEngine.evaluate(puzzle.validate, session, context);
   }
 
   /**
    * Execute success effects
    */
   async onSuccess(session, puzzle) {
-    if (!session.puzzleState) {
-      session.puzzleState = {};
-    }
-    session.puzzleState[puzzle.id] = { solved: true, timestamp: new Date() };
+    const state = this.getState(session, puzzle);
+    state.solved = true;
+    state.timestamp = new Date();
     
     // Log event
     db.prepare(`
@@ -139,6 +300,13 @@ class PuzzleEngine {
       VALUES (?, ?, ?, ?)
     `).run(session.id, puzzle.id, 'solved', JSON.stringify({}));
     
+    eventBus.toSession(session.id, 'puzzle_solved', {
+      puzzleId: puzzle.id,
+      desc: puzzle.desc || '',
+      message: puzzle.successMessage || '[SYSTEM] Objective complete.',
+      timestamp: state.timestamp.toISOString()
+    });
+    
     // Execute effects
     const effects = puzzle.onSuccess || [];
     for (const effect of effects) {
@@ -147,14 +315,27 @@ class PuzzleEngine {
   }
 
   /**
-   * Execute failure effects
+   * Execute failure effects. `wrongKey` marks a failure the trace meter has
+   * already counted, so the AI does not react to it a second time.
    */
-  async onFailure(session, puzzle) {
+  async onFailure(session, puzzle, { wrongKey = false } = {}) {
+    const state = this.getState(session, puzzle);
+    state.failures = (state.failures || 0) + 1;
+    
     // Log event
     db.prepare(`
       INSERT INTO puzzle_events (session_id, puzzle_id, event_type, details)
       VALUES (?, ?, ?, ?)
-    `).run(session.id, puzzle.id, 'failed', JSON.stringify({}));
+    `).run(session.id, puzzle.id, 'failed', JSON.stringify({ failures: state.failures }));
+    
+    eventBus.toSession(session.id, 'puzzle_failed', {
+      puzzleId: puzzle.id,
+      desc: puzzle.desc || '',
+      message: puzzle.failMessage || '[SYSTEM] Access attempt rejected.',
+      failures: state.failures,
+      wrongKey,
+      timestamp: new Date().toISOString()
+    });
     
     // Execute effects
     const effects = puzzle.onFail || [];
@@ -164,16 +345,64 @@ class PuzzleEngine {
   }
 
   /**
-   * Execute an effect
+   * Execute an effect. Any effect may carry a `message` that is printed in
+   * the player's terminal once it has run.
    */
   async executeEffect(session, effect) {
+    try {
+      await this.applyEffect(session, effect);
+    } catch (err) {
+      console.warn(`Puzzle effect ${effect.action} failed for session ${session.id}:`, err.message);
+      return;
+    }
+    
+    const message = effect.message ?? this.defaultMessage(effect);
+    if (message && !effect.silent) {
+      eventBus.notify(session.id, message, effect.style || 'system');
+    }
+  }
+
+  /**
+   * Message announced for effects the player should always hear about
+   */
+  defaultMessage(effect) {
     switch (effect.action) {
       case 'addFile':
-        VFSEngine.addFile(session, effect.target, effect.contents, effect.meta || {});
+        return `[SYSTEM] New file detected: ${effect.target}`;
+      case 'grantCommand':
+        return `[SYSTEM] New command available: ${effect.command}`;
+      case 'spawnNetworkHost':
+        return `[SYSTEM] New host detected on the network: ${effect.host}${effect.ip ? ` (${effect.ip})` : ''}`;
+      case 'changeDirectory':
+        return `[SYSTEM] Session relocated to ${effect.target || '/'}`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Apply an effect's change to the session
+   */
+  async applyEffect(session, effect) {
+    // File effects land on the player's own machine (or the `host` they
+    // name), not on whichever host the player is logged in to
+    const machine = fileActions.includes(effect.action) ? networkEngine.view(session, effect.host) : session;
+    
+    switch (effect.action) {
+      case 'addFile':
+        VFSEngine.addFile(machine, effect.target, effect.contents, effect.meta || {});
+        break;
+      
+      case 'removeFile':
+        VFSEngine.remove(machine, effect.target);
+        break;
+      
+      case 'moveFile':
+        VFSEngine.move(machine, effect.target, effect.destination);
         break;
       
       case 'decrypt':
-        const node = VFSEngine.getNode(session.fs, effect.target);
+        const node = VFSEngine.getNode(machine.fs, effect.target);
         if (node && node.meta?.encrypted) {
           node.meta.encrypted = false;
           node.meta.decrypted = true;
@@ -181,37 +410,223 @@ class PuzzleEngine {
         break;
       
       case 'unlock':
-        VFSEngine.setLock(session, effect.target, false);
+        VFSEngine.setLock(machine, effect.target, false);
         break;
       
       case 'lock':
-        VFSEngine.setLock(session, effect.target, true);
+        VFSEngine.setLock(machine, effect.target, true);
+        break;
+      
+      case 'unlockPathForGroup': {
+        // Same cross-player unlock as deleting a security file
+        const paths = effect.paths || [effect.target];
+        const unlocked = await VFSEngine.unlockPathsForGroups(session, paths, effect.groups || []);
+        unlocked.forEach(sessionId => {
+          eventBus.toSession(sessionId, 'system_message', {
+            type: 'paths_unlocked',
+            paths,
+            message: '[SYSTEM] New pathways have been unlocked.'
+          });
+        });
+        break;
+      }
+      
+      case 'sendMessage':
+        // Nothing to change; the effect's `message` is printed below
+        break;
+      
+      case 'grantCommand':
+        if (!session.grantedCommands) {
+          session.grantedCommands = [];
+        }
+        if (!session.grantedCommands.includes(effect.command)) {
+          session.grantedCommands.push(effect.command);
+        }
         break;
       
+      case 'startTimer':
+        this.startTimer(session, effect.id, effect.seconds, effect);
+        eventBus.toSession(session.id, 'timer_started', {
+          id: effect.id,
+          label: effect.label,
+          endsAt: session.timers[effect.id].endsAt
+        });
+        break;
+      
+      case 'stopTimer':
+        this.stopTimer(session, effect.id);
+        break;
+      
+      case 'spawnNetworkHost': {
+        if (!session.network) {
+          session.network = { hosts: {} };
+        }
+        // Revealing one of the pack's hidden hosts keeps the fields left out
+        const host = { ...session.network.hosts[effect.host] };
+        for (const key of ['ip', 'description', 'ports', 'banner', 'filesystem']) {
+          if (effect[key] !== undefined) host[key] = effect[key];
+        }
+        session.network.hosts[effect.host] = host;
+        break;
+      }
+      
       case 'raiseAlert':
-        if (!session.aiState) {
-          session.aiState = { level: 0, status: 'idle' };
+      case 'lowerAlert': {
+        // The security AI owns its level and state transitions
+        const delta = effect.level || 1;
+        eventBus.emit('ai_adjust', { session, delta: effect.action === 'raiseAlert' ? delta : -delta });
+        break;
+      }
+      
+      case 'corruptFile':
+        VFSEngine.corrupt(machine, effect.target, effect.ratio);
+        break;
+      
+      case 'changeDirectory': {
+        const target = VFSEngine.resolvePath(machine.fs, machine.currentPath, effect.target || '/');
+        if (VFSEngine.getNode(machine.fs, target)?.type !== 'dir') {
+          throw new Error(`Not a directory: ${target}`);
+        }
+        machine.currentPath = target;
+        break;
+      }
+      
+      case 'disconnect':
+        this.startTimer(session, 'disconnect', effect.seconds || 5, effect);
+        break;
+      
+      case 'freeze':
+        session.frozen = effect.frozen !== false;
+        if (session.frozen && effect.seconds) {
+          this.startTimer(session, 'freeze', effect.seconds, effect);
         }
-        session.aiState.level = Math.min(session.aiState.level + (effect.level || 1), 10);
-        if (session.aiState.status === 'idle') {
-          session.aiState.status = 'probing';
+        break;
+      
+      case 'playSound':
+        eventBus.toSession(session.id, 'play_sound', { sound: effect.sound });
+        break;
+      
+      default:
+        throw new Error(`Unknown effect: ${effect.action}`);
+    }
+  }
+
+  /**
+   * Expire a timer after `seconds`, replacing any timer with the same id.
+   * The deadline and the effect that started it are kept on the session so
+   * they survive a restart.
+   */
+  startTimer(session, id, seconds, effect) {
+    this.stopTimer(session, id);
+    session.timers ||= {};
+    session.timers[id] = { endsAt: new Date(Date.now() + seconds * 1000).toISOString(), effect };
+    this.scheduleTimer(session, id);
+  }
+
+  /**
+   * Arm the timeout for a saved timer; a deadline already past fires at once.
+   * The session is persisted and its prompt redrawn afterwards.
+   */
+  scheduleTimer(session, id) {
+    const key = `${session.id}:${id}`;
+    const { endsAt, effect } = session.timers[id];
+    
+    this.timers.set(key, setTimeout(async () => {
+      this.timers.delete(key);
+      // The session may have been reseeded or destroyed in the meantime
+      if (sessionManager.getSession(session.id) !== session) return;
+      delete session.timers[id];
+      
+      try {
+        await this.expireTimer(session, effect);
+      } catch (err) {
+        console.warn(`Timer ${id} failed for session ${session.id}:`, err.message);
+      }
+      sessionManager.persistSession(session.id);
+      eventBus.prompt(session);
+    }, Math.max(0, Date.parse(endsAt) - Date.now())));
+  }
+
+  /**
+   * What happens when a timer runs out, by the effect that started it
+   */
+  async expireTimer(session, effect) {
+    switch (effect.action) {
+      case 'startTimer':
+        eventBus.toSession(session.id, 'timer_expired', { id: effect.id, label: effect.label });
+        for (const expireEffect of effect.onExpire || []) {
+          await this.executeEffect(session, expireEffect);
         }
         break;
+      
+      case 'disconnect':
+        eventBus.notify(session.id, '\n[SYSTEM] Connection terminated by security protocol.');
+        eventBus.toSession(session.id, 'logout', { reason: effect.reason || 'disconnected' });
+        break;
+      
+      case 'freeze':
+        session.frozen = false;
+        eventBus.notify(session.id, '[SYSTEM] Terminal released.');
+        break;
     }
   }
 
   /**
-   * Get all puzzles
+   * Re-arm the saved timers of a session restored from the database
    */
-  getPuzzles() {
-    return puzzles;
+  restoreTimers(session) {
+    for (const id of Object.keys(session.timers || {})) {
+      this.scheduleTimer(session, id);
+    }
+  }
+
+  /**
+   * Cancel a session's timer
+   */
+  stopTimer(session, id) {
+    const key = `${session.id}:${id}`;
+    if (this.timers.has(key)) {
+      clearTimeout(this.timers.get(key));
+      this.timers.delete(key);
+    }
+    delete session.timers?.[id];
+  }
+
+  /**
+   * Cancel every timer of a session
+   */
+  clearTimers(sessionId) {
+    for (const key of this.timers.keys()) {
+      if (key.startsWith(`${sessionId}:`)) {
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get the puzzles of a scenario pack (defaults to the active pack)
+   */
+  getPuzzles(scenarioId) {
+    return scenarioManager.get(scenarioId || scenarioManager.activeScenarioId).puzzles;
+  }
+
+  /**
+   * Find one puzzle of a scenario pack
+   */
+  getPuzzle(scenarioId, puzzleId) {
+    const puzzle = this.getPuzzles(scenarioId).find(p => p.id === puzzleId);
+    if (!puzzle) {
+      throw new Error(`Unknown puzzle: ${puzzleId}`);
+    }
+    return puzzle;
   }
 
   /**
-   * Reload puzzles
+   * Reload puzzles (and the rest of each pack) from disk
    */
   reload() {
-    loadPuzzles();
+    scenarioManager.reload();
   }
 }
 
@@ -0,0 +1,132 @@
+/**
+ * Puzzle Schema
+ * Structural checks for puzzle definitions, shared by pack loading and the
+ * admin puzzle editor. See QUICKSTART.md for the puzzle format.
+ */
+
+import { RuleEngine } from './ruleEngine.js';
+
+export const triggerTypes = ['open', 'decrypt', 'write', 'delete'];
+
+export const effectActions = [
+  'addFile', 'removeFile', 'moveFile', 'decrypt', 'unlock', 'lock',
+  'unlockPathForGroup', 'sendMessage', 'grantCommand', 'startTimer',
+  'stopTimer', 'spawnNetworkHost', 'raiseAlert', 'lowerAlert', 'freeze',
+  'playSound', 'corruptFile', 'changeDirectory', 'disconnect'
+];
+
+// Effects that act on a filesystem: the player's own machine, or the network
+// host named by their optional `host`
+export const fileActions = [
+  'addFile', 'removeFile', 'moveFile', 'decrypt', 'unlock', 'lock',
+  'corruptFile', 'changeDirectory'
+];
+
+/**
+ * Check that a value is a list of strings
+ */
+function checkStringList(value, field) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new Error(`${field} must be a list of strings`);
+  }
+}
+
+export class PuzzleSchema {
+  /**
+   * Throw a descriptive error if a puzzle definition is malformed
+   */
+  static validate(puzzle) {
+    if (!puzzle || typeof puzzle !== 'object' || Array.isArray(puzzle)) {
+      throw new Error('Puzzle must be an object');
+    }
+    if (typeof puzzle.id !== 'string' || !/^[\w-]+$/.test(puzzle.id)) {
+      throw new Error('Puzzle id must contain only letters, digits, "_" and "-"');
+    }
+    if (puzzle.desc !== undefined && typeof puzzle.desc !== 'string') {
+      throw new Error('desc must be a string');
+    }
+    if (puzzle.requires !== undefined) {
+      checkStringList(puzzle.requires, 'requires');
+    }
+    
+    if (puzzle.steps !== undefined) {
+      if (!Array.isArray(puzzle.steps) || puzzle.steps.length === 0) {
+        throw new Error('steps must be a non-empty list');
+      }
+      puzzle.steps.forEach((step, index) => {
+        this.validateStage(step, `steps[${index}]`);
+        this.validateEffects(step.onComplete, `steps[${index}].onComplete`);
+      });
+    } else {
+      this.validateStage(puzzle, 'puzzle');
+    }
+    
+    this.validateEffects(puzzle.onSuccess, 'onSuccess');
+    this.validateEffects(puzzle.onFail, 'onFail');
+    return true;
+  }
+
+  /**
+   * Check a puzzle's (or step's) triggers and validation rule
+   */
+  static validateStage(stage, label) {
+    if (!stage || typeof stage !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    
+    const lists = ['triggers', 'anyOf', 'allOf'].filter(key => stage[key] !== undefined);
+    if (lists.length !== 1) {
+      throw new Error(`${label} must have exactly one of triggers, anyOf or allOf`);
+    }
+    const triggers = stage[lists[0]];
+    if (!Array.isArray(triggers) || triggers.length === 0) {
+      throw new Error(`${label}.${lists[0]} must be a non-empty list`);
+    }
+    triggers.forEach((trigger, index) => {
+      if (!triggerTypes.includes(trigger?.type)) {
+        throw new Error(`${label}.${lists[0]}[${index}] has unknown type (expected ${triggerTypes.join(', ')})`);
+      }
+      if (typeof trigger.path !== 'string' || !trigger.path.startsWith('/')) {
+        throw new Error(`${label}.${lists[0]}[${index}] needs an absolute path`);
+      }
+      if (trigger.host !== undefined && typeof trigger.host !== 'string') {
+        throw new Error(`${label}.${lists[0]}[${index}].host must be a host name`);
+      }
+    });
+    
+    if (stage.count !== undefined && (!Number.isInteger(stage.count) || stage.count < 1)) {
+      throw new Error(`${label}.count must be a positive integer`);
+    }
+    if (stage.validate !== undefined) {
+      try {
+        RuleEngine.check(stage.validate);
+      } catch (err) {
+        throw new Error(`${label}.validate: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check a list of effects, including timers' nested onExpire effects
+   */
+  static validateEffects(effects, label) {
+    if (effects === undefined) return;
+    if (!Array.isArray(effects)) {
+      throw new Error(`${label} must be a list of effects`);
+    }
+    effects.forEach((effect, index) => {
+      if (!effectActions.includes(effect?.action)) {
+        throw new Error(`${label}[${index}] has unknown action: ${effect?.action}`);
+      }
+      if (fileActions.includes(effect.action) && effect.host !== undefined && typeof effect.host !== 'string') {
+        throw new Error(`${label}[${index}].host must be a host name`);
+      }
+      if (effect.action === 'startTimer') {
+        if (typeof effect.id !== 'string' || typeof effect.seconds !== 'number' || effect.seconds <= 0) {
+          throw new Error(`${label}[${index}] startTimer needs an id and positive seconds`);
+        }
+        this.validateEffects(effect.onExpire, `${label}[${index}].onExpire`);
+      }
+    });
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * Round Clock
+ * Server-authoritative countdowns for timed rounds, one per game. It ticks
+ * once a second, announces phase deadlines and runs a round's expiry effects
+ * on every player at that game's table. Durations and deadlines are in
+ * seconds; a pack's manifest `round` section provides defaults (see
+ * QUICKSTART.md).
+ */
+
+import db from '../db/database.js';
+import sessionManager from './sessionManager.js';
+import gameManager from './gameManager.js';
+import scenarioManager from './scenarioManager.js';
+import puzzleEngine from './puzzleEngine.js';
+import eventBus from './eventBus.js';
+import { PuzzleSchema } from './puzzleSchema.js';
+
+const TICK_INTERVAL = 1000;
+
+// Expiry effects when neither the GM nor the pack names any
+const defaultOnExpire = [
+  { action: 'freeze', message: '[SYSTEM] Time is up. Terminal frozen.' }
+];
+
+class RoundClock {
+  constructor() {
+    this.clocks = new Map(); // gameId -> clock, persisted on the game's rounds row
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Build a clock from round start options, falling back to the pack's
+   * `round` section. Throws if the options are malformed; returns null for
+   * an untimed round.
+   */
+  configure(options = {}, scenarioId) {
+    let defaults = {};
+    try {
+      defaults = scenarioManager.get(scenarioId).round || {};
+    } catch (err) {
+      console.warn('Failed to load scenario round settings:', err.message);
+    }
+    
+    const duration = options.duration ?? defaults.duration;
+    if (duration === undefined || duration === null) return null;
+    if (typeof duration !== 'number' || duration <= 0) {
+      throw new Error('duration must be a positive number of seconds');
+    }
+    
+    const phases = options.phases ?? defaults.phases ?? [];
+    if (!Array.isArray(phases)) {
+      throw new Error('phases must be a list');
+    }
+    phases.forEach((phase, index) => {
+      // A deadline past the duration is only reached if the round is extended
+      if (typeof phase?.deadline !== 'number' || phase.deadline <= 0) {
+        throw new Error(`phases[${index}] needs a positive deadline`);
+      }
+      PuzzleSchema.validateEffects(phase.effects, `phases[${index}].effects`);
+    });
+    
+    const onExpire = options.onExpire ?? defaults.onExpire ?? defaultOnExpire;
+    PuzzleSchema.validateEffects(onExpire, 'onExpire');
+    
+    return {
+      duration,
+      total: duration * 1000,
+      phases: phases
+        .map((phase, index) => ({
+          id: phase.id || `phase_${index + 1}`,
+          label: phase.label || phase.id || `Phase ${index + 1}`,
+          deadline: phase.deadline,
+          message: phase.message,
+          effects: phase.effects || [],
+          reached: false
+        }))
+        .sort((a, b) => a.deadline - b.deadline),
+      onExpire,
+      endsAt: null,
+      remaining: null,
+      paused: false,
+      expired: false
+    };
+  }
+
+  /**
+   * Start counting down a game's clock built by configure()
+   */
+  start(gameId, clock) {
+    this.clocks.set(gameId, { ...clock, endsAt: Date.now() + clock.total });
+    this.persist(gameId);
+    this.startTicking();
+    this.emitTick(gameId);
+  }
+
+  /**
+   * Drop a game's clock when its round ends
+   */
+  stop(gameId) {
+    this.clocks.delete(gameId);
+    if (this.clocks.size === 0) {
+      this.stopTicking();
+    }
+    this.emitTick(gameId);
+  }
+
+  /**
+   * Freeze a game's countdown
+   */
+  pause(gameId) {
+    const clock = this.getClock(gameId);
+    if (clock.paused) throw new Error('Round clock is already paused');
+    if (clock.expired) throw new Error('Round clock has expired');
+    
+    clock.remaining = this.getRemaining(clock);
+    clock.endsAt = null;
+    clock.paused = true;
+    this.persist(gameId);
+    this.emitTick(gameId);
+  }
+
+  /**
+   * Continue a paused countdown
+   */
+  resume(gameId) {
+    const clock = this.getClock(gameId);
+    if (!clock.paused) throw new Error('Round clock is not paused');
+    
+    clock.endsAt = Date.now() + clock.remaining;
+    clock.remaining = null;
+    clock.paused = false;
+    this.persist(gameId);
+    this.emitTick(gameId);
+  }
+
+  /**
+   * Add time to a round. Extending an expired clock restarts the countdown
+   * (its expiry effects are not undone).
+   */
+  extend(gameId, seconds) {
+    const clock = this.getClock(gameId);
+    if (typeof seconds !== 'number' || seconds <= 0) {
+      throw new Error('seconds must be a positive number');
+    }
+    
+    const extra = seconds * 1000;
+    clock.total += extra;
+    if (clock.paused) {
+      clock.remaining += extra;
+    } else if (clock.expired) {
+      clock.expired = false;
+      clock.endsAt = Date.now() + extra;
+    } else {
+      clock.endsAt += extra;
+    }
+    this.persist(gameId);
+    this.emitTick(gameId);
+  }
+
+  /**
+   * Get a game's clock, throwing unless a timed round is running there
+   */
+  getClock(gameId) {
+    const clock = this.clocks.get(gameId);
+    if (!clock) throw new Error('No timed round is running');
+    return clock;
+  }
+
+  /**
+   * Milliseconds left on a clock
+   */
+  getRemaining(clock) {
+    if (clock.expired) return 0;
+    if (clock.paused) return clock.remaining;
+    return Math.max(0, clock.endsAt - Date.now());
+  }
+
+  /**
+   * A game's clock as shown to players and admins. Times are in whole seconds.
+   */
+  status(gameId) {
+    const clock = this.clocks.get(gameId);
+    if (!clock) return { active: false };
+    
+    const { duration, total, paused, expired, phases } = clock;
+    const remaining = this.getRemaining(clock);
+    const elapsed = total - remaining;
+    const next = phases.find(phase => !phase.reached);
+    
+    return {
+      active: true,
+      paused,
+      expired,
+      duration,
+      total: Math.round(total / 1000),
+      remaining: Math.ceil(remaining / 1000),
+      elapsed: Math.floor(elapsed / 1000),
+      phase: next ? {
+        id: next.id,
+        label: next.label,
+        deadline: next.deadline,
+        remaining: Math.max(0, Math.ceil((next.deadline * 1000 - elapsed) / 1000))
+      } : null,
+      phases: phases.map(({ id, label, deadline, reached }) => ({ id, label, deadline, reached }))
+    };
+  }
+
+  /**
+   * Broadcast a game's clock to its players and every admin
+   */
+  emitTick(gameId) {
+    eventBus.emit('round_tick', { gameId, ...this.status(gameId) });
+  }
+
+  /**
+   * Tick once a second. One timer serves every game's clock.
+   */
+  startTicking() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop ticking without touching the clocks
+   */
+  stopTicking() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Advance every running clock. Skips a tick while the previous one is
+   * running effects.
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      for (const [gameId, clock] of this.clocks) {
+        if (clock.paused || clock.expired) continue;
+        await this.tickGame(gameId, clock);
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Advance a game's clock: reach due phase deadlines, then expire the round
+   * once no time is left
+   */
+  async tickGame(gameId, clock) {
+    const remaining = this.getRemaining(clock);
+    const elapsed = clock.total - remaining;
+    
+    for (const phase of clock.phases) {
+      if (phase.reached || phase.deadline * 1000 > elapsed) continue;
+      phase.reached = true;
+      this.persist(gameId);
+      await this.runEffects(gameId, phase.effects, phase.message ?? `[SYSTEM] Deadline reached: ${phase.label}`);
+    }
+    
+    if (remaining <= 0) {
+      clock.expired = true;
+      this.persist(gameId);
+      this.emitTick(gameId);
+      await this.runEffects(gameId, clock.onExpire, null);
+      return;
+    }
+    this.emitTick(gameId);
+  }
+
+  /**
+   * Announce a message and run effects on every player in a game's round
+   */
+  async runEffects(gameId, effects, message) {
+    for (const session of sessionManager.getGameSessions(gameId)) {
+      if (!session.roundStarted) continue;
+      
+      if (message) {
+        eventBus.notify(session.id, message);
+      }
+      for (const effect of effects) {
+        await puzzleEngine.executeEffect(session, effect);
+      }
+      sessionManager.persistSession(session.id);
+      eventBus.prompt(session);
+    }
+  }
+
+  /**
+   * Save a game's clock on its current round so a restart can restore it
+   */
+  persist(gameId) {
+    const roundId = gameManager.games.get(gameId)?.roundId;
+    if (!roundId) return;
+    const clock = this.clocks.get(gameId);
+    db.prepare('UPDATE rounds SET clock = ? WHERE id = ?')
+      .run(clock ? JSON.stringify(clock) : null, roundId);
+  }
+
+  /**
+   * Restore the clocks of open rounds after a restart. A running clock keeps
+   * its end time, so downtime counts against the round.
+   */
+  restore() {
+    for (const game of gameManager.listGames()) {
+      if (!game.roundId) continue;
+      const row = db.prepare('SELECT clock FROM rounds WHERE id = ?').get(game.roundId);
+      if (!row?.clock) continue;
+      
+      try {
+        this.clocks.set(game.id, JSON.parse(row.clock));
+      } catch (err) {
+        console.warn(`Failed to restore round clock for game ${game.id}:`, err.message);
+      }
+    }
+    if (this.clocks.size > 0) {
+      this.startTicking();
+    }
+  }
+}
+
+export default new RoundClock();
@@ -0,0 +1,260 @@
+/**
+ * Rule Engine
+ * Declarative, side-effect free validation rules for puzzles, so scenario
+ * packs never run their own code. See QUICKSTART.md for the rule reference.
+ */
+
+import { VFSEngine } from './vfsEngine.js';
+
+const MAX_DEPTH = 16;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_SUBJECT_LENGTH = 20000; // characters of a key or file a pattern sees
+
+/**
+ * Whether the pattern at `index` is an unbounded repeat: *, + or {n,}
+ */
+function isRepeat(pattern, index) {
+  return pattern[index] === '*' || pattern[index] === '+' || /^\{\d*,\d*\}/.test(pattern.slice(index));
+}
+
+/**
+ * Find constructs that can make a regex backtrack exponentially: a repeated
+ * group that itself contains a repeat, like (a+)+, and backreferences.
+ * Returns a description of the first one, or null.
+ */
+function findUnsafeConstruct(pattern) {
+  const groups = [false]; // per open group: does it contain a repeat?
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences';
+      i++;
+    } else if (ch === '[') {
+      // Skip the character class; its contents are never quantifiers
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (ch === '(') {
+      groups.push(false);
+    } else if (ch === ')' && groups.length > 1) {
+      const repeats = groups.pop();
+      if (repeats && isRepeat(pattern, i + 1)) return 'nested quantifiers';
+      groups[groups.length - 1] ||= repeats;
+    } else if (isRepeat(pattern, i)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a RegExp from rule or player input, rejecting oversized, invalid or
+ * backtracking-prone patterns
+ */
+export function compilePattern(pattern, flags) {
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (flags !== undefined && !/^[imsu]*$/.test(flags)) {
+    throw new Error(`Unsupported regex flags: ${flags}`);
+  }
+  const unsafe = findUnsafeConstruct(pattern);
+  if (unsafe) {
+    throw new Error(`Pattern ${pattern} uses ${unsafe}, which are not supported`);
+  }
+  return new RegExp(pattern, flags || '');
+}
+
+/**
+ * Test a compiled pattern against the start of some text
+ */
+export function testPattern(regex, subject) {
+  return regex.test(String(subject).slice(0, MAX_SUBJECT_LENGTH));
+}
+
+/**
+ * Test a rule's pattern against a key or file
+ */
+function matchPattern(rule, name, subject) {
+  return testPattern(compilePattern(rule[name], rule.flags), subject);
+}
+
+/**
+ * Check an optional { min, max } range
+ */
+function inRange(value, { min, max }) {
+  return (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+/**
+ * Find a file node for a rule, defaulting to the file that fired the trigger
+ */
+function findFile(rule, { session, context }) {
+  const target = rule.path || context.filePath;
+  if (!target) return null;
+  const resolvedPath = VFSEngine.resolvePath(session.fs, session.currentPath, target);
+  const node = VFSEngine.getNode(session.fs, resolvedPath);
+  return node && node.type === 'file' ? node : null;
+}
+
+/**
+ * Resolve a rule path against the session's filesystem
+ */
+function findNode(target, { session }) {
+  const resolvedPath = VFSEngine.resolvePath(session.fs, session.currentPath, String(target));
+  return VFSEngine.getNode(session.fs, resolvedPath);
+}
+
+const predicates = {
+  key(rule, env) {
+    const key = env.context.key;
+    if (key === undefined || key === null || key === true) return false;
+    return rule.ignoreCase
+      ? String(key).toLowerCase() === String(rule.key).toLowerCase()
+      : String(key) === String(rule.key);
+  },
+
+  keyMatches(rule, env) {
+    const key = env.context.key;
+    if (key === undefined || key === null || key === true) return false;
+    return matchPattern(rule, 'keyMatches', key);
+  },
+
+  fileExists(rule, env) {
+    return !!findNode(rule.fileExists, env);
+  },
+
+  fileAbsent(rule, env) {
+    return !findNode(rule.fileAbsent, env);
+  },
+
+  fileContains(rule, env) {
+    const node = findFile(rule, env);
+    return !!node && String(node.contents ?? '').includes(String(rule.fileContains));
+  },
+
+  fileMatches(rule, env) {
+    const node = findFile(rule, env);
+    return !!node && matchPattern(rule, 'fileMatches', node.contents ?? '');
+  },
+
+  puzzleSolved(rule, env) {
+    return !!env.session.puzzleState?.[rule.puzzleSolved]?.solved;
+  },
+
+  aiLevelBelow(rule, env) {
+    return (env.session.aiState?.level || 0) < Number(rule.aiLevelBelow);
+  },
+
+  commandCount(rule, env) {
+    const spec = rule.commandCount;
+    const history = env.session.commandHistory || [];
+    const count = spec.command
+      ? history.filter(entry => String(entry.command).trim().split(/\s+/)[0].toLowerCase() === String(spec.command).toLowerCase()).length
+      : history.length;
+    return inRange(count, spec);
+  },
+
+  elapsed(rule, env) {
+    const spec = rule.elapsed;
+    const start = spec.since
+      ? env.session.puzzleState?.[spec.since]?.timestamp
+      : env.session.createdAt;
+    if (!start) return false;
+    const seconds = (Date.now() - new Date(start).getTime()) / 1000;
+    return inRange(seconds, spec);
+  }
+};
+
+const combinators = ['all', 'any', 'not'];
+
+export class RuleEngine {
+  /**
+   * Evaluate a rule for a session. `context` carries the trigger details
+   * ({ key, filePath }). Malformed rules evaluate to false.
+   */
+  static evaluate(rule, session, context = {}) {
+    try {
+      return this.evaluateRule(this.normalize(rule), { session, context }, 0);
+    } catch (err) {
+      console.error('Puzzle validation error:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check a rule's structure without evaluating it (used when loading packs)
+   */
+  static check(rule, depth = 0) {
+    const normalized = this.normalize(rule);
+    if (depth > MAX_DEPTH) {
+      throw new Error('Rule is nested too deeply');
+    }
+    
+    const name = this.ruleName(normalized);
+    if (name === 'all' || name === 'any') {
+      if (!Array.isArray(normalized[name])) {
+        throw new Error(`"${name}" expects a list of rules`);
+      }
+      normalized[name].forEach(child => this.check(child, depth + 1));
+    } else if (name === 'not') {
+      this.check(normalized.not, depth + 1);
+    } else if (name === 'keyMatches' || name === 'fileMatches') {
+      compilePattern(normalized[name], normalized.flags);
+    } else if ((name === 'commandCount' || name === 'elapsed') && typeof normalized[name] !== 'object') {
+      throw new Error(`"${name}" expects an object with min/max`);
+    }
+    return true;
+  }
+
+  /**
+   * Expand the legacy string shorthands into rule objects
+   */
+  static normalize(rule) {
+    if (typeof rule === 'string') {
+      if (rule.startsWith('key:')) {
+        return { key: rule.substring(4).trim() };
+      }
+      if (rule.startsWith('file_contains:')) {
+        return { fileContains: rule.substring(14).trim() };
+      }
+      throw new Error(`Unknown rule: ${rule}`);
+    }
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error('Rule must be an object');
+    }
+    if (rule.type === 'function') {
+      throw new Error('Function validation is not supported, use a declarative rule');
+    }
+    return rule;
+  }
+
+  /**
+   * Find the single predicate or combinator a rule object uses
+   */
+  static ruleName(rule) {
+    const names = Object.keys(rule).filter(key => Object.hasOwn(predicates, key) || combinators.includes(key));
+    if (names.length !== 1) {
+      throw new Error(`Rule must use exactly one of: ${[...combinators, ...Object.keys(predicates)].join(', ')}`);
+    }
+    return names[0];
+  }
+
+  static evaluateRule(rule, env, depth) {
+    if (depth > MAX_DEPTH) {
+      throw new Error('Rule is nested too deeply');
+    }
+    
+    const name = this.ruleName(rule);
+    switch (name) {
+      case 'all':
+        return rule.all.every(child => this.evaluateRule(this.normalize(child), env, depth + 1));
+      case 'any':
+        return rule.any.some(child => this.evaluateRule(this.normalize(child), env, depth + 1));
+      case 'not':
+        return !this.evaluateRule(this.normalize(rule.not), env, depth + 1);
+      default:
+        return predicates[name](rule, env);
+    }
+  }
+}
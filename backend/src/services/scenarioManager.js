@@ -0,0 +1,258 @@
+/**
+ * Scenario Manager
+ * Loads scenario packs (filesystem seed, puzzles, AI personality, boot text)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SeedCompiler } from './seedCompiler.js';
+import { PuzzleSchema } from './puzzleSchema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const scenariosDir = path.join(__dirname, '../../../content/scenarios');
+const emptySeed = { root: { type: 'dir', children: {} } };
+
+/**
+ * Read and parse a JSON file
+ */
+function readJSON(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Check a list of daemon definitions (see processEngine)
+ */
+function checkProcesses(processes, label) {
+  if (!Array.isArray(processes)) {
+    throw new Error(`${label} must be a list`);
+  }
+  processes.forEach((proc, index) => {
+    if (!proc?.name || !proc.command) {
+      throw new Error(`${label}[${index}] needs a name and a command`);
+    }
+    if (proc.pid !== undefined && (!Number.isInteger(proc.pid) || proc.pid < 1)) {
+      throw new Error(`${label}[${index}].pid must be a positive integer`);
+    }
+    PuzzleSchema.validateEffects(proc.onKill, `${label}[${index}].onKill`);
+  });
+  return processes;
+}
+
+class ScenarioManager {
+  constructor() {
+    this.packs = new Map(); // scenarioId -> loaded pack
+    this.activeScenarioId = process.env.SCENARIO || 'immortech';
+  }
+
+  /**
+   * List available packs by reading their manifests from disk
+   */
+  list() {
+    if (!fs.existsSync(scenariosDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(scenariosDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => {
+        const manifestPath = path.join(scenariosDir, entry.name, 'manifest.json');
+        if (!fs.existsSync(manifestPath)) return null;
+        try {
+          const manifest = readJSON(manifestPath);
+          return {
+            id: entry.name,
+            name: manifest.name || entry.name,
+            description: manifest.description || '',
+            active: entry.name === this.activeScenarioId
+          };
+        } catch (err) {
+          console.warn(`Failed to read scenario manifest ${entry.name}:`, err.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Load a pack from disk, replacing any cached copy
+   */
+  load(scenarioId) {
+    const packDir = path.join(scenariosDir, scenarioId);
+    const manifestPath = path.join(packDir, 'manifest.json');
+
+    if (!/^[\w-]+$/.test(scenarioId) || !fs.existsSync(manifestPath)) {
+      throw new Error(`Unknown scenario: ${scenarioId}`);
+    }
+
+    const manifest = readJSON(manifestPath);
+    const pack = {
+      id: scenarioId,
+      name: manifest.name || scenarioId,
+      title: manifest.title || manifest.name || scenarioId,
+      description: manifest.description || '',
+      player: manifest.player || {},
+      boot: manifest.boot || [],
+      round: manifest.round || {},
+      seed: this.loadSeed(packDir, manifest.filesystem || 'filesystem.json'),
+      network: manifest.network ? this.loadNetwork(packDir, manifest.network) : { hosts: {} },
+      processes: manifest.processes
+        ? checkProcesses(readJSON(path.join(packDir, manifest.processes)).processes || [], 'processes')
+        : [],
+      puzzlesDir: path.join(packDir, manifest.puzzles || 'puzzles'),
+      puzzleFiles: new Map(), // puzzleId -> file name
+      ai: manifest.ai ? readJSON(path.join(packDir, manifest.ai)) : {}
+    };
+
+    pack.puzzles = this.loadPuzzles(pack);
+    this.packs.set(scenarioId, pack);
+    return pack;
+  }
+
+  /**
+   * Load a filesystem seed, preferring the output of `npm run compile:seeds`
+   * unless the source has been edited since. Authored seeds are compiled in
+   * memory so meta.encryptWith always applies.
+   */
+  loadSeed(packDir, file) {
+    const compiledPath = path.join(packDir, 'compiled', file);
+    const seedPath = path.join(packDir, file);
+    const sourceExists = fs.existsSync(seedPath);
+
+    if (fs.existsSync(compiledPath)) {
+      if (!sourceExists || fs.statSync(compiledPath).mtimeMs >= fs.statSync(seedPath).mtimeMs) {
+        return readJSON(compiledPath);
+      }
+      console.warn(`Scenario seed ${seedPath} is newer than ${compiledPath}; compiling the source (re-run npm run compile:seeds)`);
+    }
+    if (sourceExists) {
+      return SeedCompiler.compile(readJSON(seedPath));
+    }
+
+    console.warn(`Scenario seed ${seedPath} not found, using empty filesystem`);
+    return emptySeed;
+  }
+
+  /**
+   * Load a pack's network of remote hosts. Each host's `filesystem` is a
+   * seed file (compiled like the pack's own) or an inline seed.
+   */
+  loadNetwork(packDir, file) {
+    const network = readJSON(path.join(packDir, file));
+    const hosts = {};
+    for (const [name, host] of Object.entries(network.hosts || {})) {
+      if (!host.ip) {
+        throw new Error(`Network host ${name} needs an ip`);
+      }
+      const { filesystem, ...rest } = host;
+      if (host.processes) {
+        checkProcesses(host.processes, `Network host ${name} processes`);
+      }
+      hosts[name] = {
+        ...rest,
+        seed: typeof filesystem === 'string'
+          ? this.loadSeed(packDir, filesystem)
+          : SeedCompiler.compile(filesystem || emptySeed)
+      };
+    }
+    return { ...network, hosts };
+  }
+
+  /**
+   * Load every puzzle JSON file in a pack's puzzle directory
+   */
+  loadPuzzles(pack) {
+    if (!fs.existsSync(pack.puzzlesDir)) {
+      return [];
+    }
+
+    const puzzles = [];
+    const files = fs.readdirSync(pack.puzzlesDir).filter(f => f.endsWith('.json'));
+    for (const file of files) {
+      try {
+        const puzzle = readJSON(path.join(pack.puzzlesDir, file));
+        // Reject malformed puzzles up front rather than failing every attempt
+        PuzzleSchema.validate(puzzle);
+        if (pack.puzzleFiles.has(puzzle.id)) {
+          throw new Error(`duplicate puzzle id ${puzzle.id}`);
+        }
+        pack.puzzleFiles.set(puzzle.id, file);
+        puzzles.push(puzzle);
+      } catch (err) {
+        console.warn(`Failed to load puzzle ${file}:`, err.message);
+      }
+    }
+    return puzzles;
+  }
+
+  /**
+   * Write a puzzle to its pack's puzzle directory, creating or replacing it.
+   * New puzzles are stored as <id>.json.
+   */
+  savePuzzle(scenarioId, puzzle) {
+    PuzzleSchema.validate(puzzle);
+    const pack = this.get(scenarioId);
+    const file = pack.puzzleFiles.get(puzzle.id) || `${puzzle.id}.json`;
+
+    fs.mkdirSync(pack.puzzlesDir, { recursive: true });
+    fs.writeFileSync(path.join(pack.puzzlesDir, file), `${JSON.stringify(puzzle, null, 2)}\n`);
+
+    const index = pack.puzzles.findIndex(p => p.id === puzzle.id);
+    if (index === -1) {
+      pack.puzzles.push(puzzle);
+    } else {
+      pack.puzzles[index] = puzzle;
+    }
+    pack.puzzleFiles.set(puzzle.id, file);
+    return puzzle;
+  }
+
+  /**
+   * Delete a puzzle file from its pack
+   */
+  deletePuzzle(scenarioId, puzzleId) {
+    const pack = this.get(scenarioId);
+    const file = pack.puzzleFiles.get(puzzleId);
+    if (!file) {
+      throw new Error(`Unknown puzzle: ${puzzleId}`);
+    }
+
+    fs.unlinkSync(path.join(pack.puzzlesDir, file));
+    pack.puzzles = pack.puzzles.filter(p => p.id !== puzzleId);
+    pack.puzzleFiles.delete(puzzleId);
+  }
+
+  /**
+   * Get a pack, loading it on first use
+   */
+  get(scenarioId = this.activeScenarioId) {
+    return this.packs.get(scenarioId) || this.load(scenarioId);
+  }
+
+  /**
+   * Get the active pack
+   */
+  getActive() {
+    return this.get(this.activeScenarioId);
+  }
+
+  /**
+   * Select the pack used for new sessions and rounds (reloaded from disk)
+   */
+  setActive(scenarioId) {
+    const pack = this.load(scenarioId);
+    this.activeScenarioId = scenarioId;
+    return pack;
+  }
+
+  /**
+   * Drop cached packs so the next use reads them from disk again
+   */
+  reload() {
+    this.packs.clear();
+  }
+}
+
+export default new ScenarioManager();
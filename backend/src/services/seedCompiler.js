@@ -0,0 +1,71 @@
+/**
+ * Seed Compiler
+ * Turns authored (plaintext) filesystem seeds into their playable form
+ */
+
+import cipherRegistry from './cipherRegistry.js';
+import { VFSEngine } from './vfsEngine.js';
+
+export class SeedCompiler {
+  /**
+   * Compile a seed: every file with `meta.encryptWith` is encrypted and
+   * marked `encrypted`. `encryptWith` is either { cipher, key } or an array
+   * of them, applied in order (the first entry is the innermost layer).
+   * Returns a new seed; the input is not modified.
+   */
+  static compile(seed) {
+    const compiled = VFSEngine.cloneFS(seed);
+    
+    const walk = (node, path) => {
+      if (node.type === 'file' && node.meta?.encryptWith) {
+        this.encryptNode(node, path);
+      }
+      if (node.type === 'dir' && node.children) {
+        Object.entries(node.children).forEach(([name, child]) => {
+          walk(child, path === '/' ? `/${name}` : `${path}/${name}`);
+        });
+      }
+    };
+    
+    if (compiled.root) {
+      walk(compiled.root, '/');
+    }
+    return compiled;
+  }
+
+  /**
+   * Encrypt a single file node in place
+   */
+  static encryptNode(node, path) {
+    const { encryptWith, ...meta } = node.meta;
+    const layers = Array.isArray(encryptWith) ? encryptWith : [encryptWith];
+    let contents = node.contents || '';
+    
+    for (const layer of layers) {
+      if (!layer?.cipher) {
+        throw new Error(`${path}: encryptWith needs a cipher`);
+      }
+      try {
+        contents = cipherRegistry.encrypt(layer.cipher, contents, layer.key);
+      } catch (err) {
+        throw new Error(`${path}: ${err.message}`);
+      }
+    }
+    
+    node.contents = contents;
+    node.meta = { ...meta, encrypted: true };
+  }
+
+  /**
+   * Count files still waiting to be encrypted
+   */
+  static countPending(seed) {
+    let count = 0;
+    const walk = (node) => {
+      if (node.type === 'file' && node.meta?.encryptWith) count++;
+      Object.values(node.children || {}).forEach(walk);
+    };
+    if (seed.root) walk(seed.root);
+    return count;
+  }
+}
@@ -6,61 +6,87 @@
 import { v4 as uuidv4 } from 'uuid';
 import db from '../db/database.js';
 import { VFSEngine } from './vfsEngine.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import scenarioManager from './scenarioManager.js';
+import networkEngine from './networkEngine.js';
+import gameManager, { DEFAULT_GAME_ID } from './gameManager.js';
+import eventBus from './eventBus.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Load campaign seed
-const seedPath = path.join(__dirname, '../../../content/filesystems/campaign_seed.json');
-let campaignSeed = { root: { type: 'dir', children: {} } };
-
-if (fs.existsSync(seedPath)) {
+/**
+ * Parse a JSON column, falling back when it is empty or corrupt
+ */
+function parseJSON(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
   try {
-    campaignSeed = JSON.parse(fs.readFileSync(seedPath, 'utf-8'));
-  } catch (err) {
-    console.warn('Failed to load campaign seed, using empty filesystem');
+    return JSON.parse(value);
+  } catch {
+    return fallback;
   }
 }
 
+/**
+ * Parse an ISO timestamp or SQLite's UTC `YYYY-MM-DD HH:MM:SS`
+ */
+function parseTimestamp(value) {
+  if (!value) return new Date();
+  return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+}
+
 class SessionManager {
   constructor() {
     this.sessions = new Map(); // sessionId -> session object
-    this.globalRoundStarted = false; // Global round status
   }
 
   /**
-   * Create a new session for a user
+   * Build the starting filesystem, path and identity for a player in a pack.
+   * `{slot}` in the manifest's player config expands to the player's slot
+   * (1-based, assigned by userId mod slots).
    */
-  createSession(userId, username) {
-    const sessionId = uuidv4();
-    const filesystem = VFSEngine.cloneFS(campaignSeed);
+  buildPlayerState(pack, userId) {
+    const player = pack.player;
+    const slot = (userId % (player.slots || 1)) + 1;
+    const expand = value => String(value).replace(/\{slot\}/g, slot);
     
-    // Assign user to one of 4 access points (based on userId mod 4)
-    // userAccessPoint will be 0, 1, 2, or 3 (for access_point_1 through access_point_4)
-    const userAccessPoint = (userId % 4);
-    const accessPointNum = userAccessPoint + 1; // 1-4 for directory names
-    const initialUnlockedPaths = [
-      '/',
-      '/server_room',
-      `/server_room/access_point_${accessPointNum}`
-    ];
+    return {
+      fs: VFSEngine.initPermissions(VFSEngine.cloneFS(pack.seed)),
+      currentPath: expand(player.startPath || '/'),
+      identity: {
+        user: expand(player.user || 'guest'),
+        groups: (player.groups || []).map(expand)
+      }
+    };
+  }
+
+  /**
+   * Create a new session for a user at a game's table, on the game's pack.
+   * A player joining mid-round goes straight in.
+   */
+  createSession(userId, username, gameId = DEFAULT_GAME_ID) {
+    const sessionId = uuidv4();
+    const game = gameManager.getGame(gameId);
+    const pack = scenarioManager.get(game.scenarioId);
+    const { fs: filesystem, currentPath, identity } = this.buildPlayerState(pack, userId);
     
     const session = {
       id: sessionId,
       userId,
       username,
+      gameId: game.id,
+      scenarioId: pack.id,
       fs: filesystem,
-      currentPath: `/server_room/access_point_${accessPointNum}`,
+      currentPath,
       commandHistory: [],
       puzzleState: {},
       aiState: { level: 0, status: 'idle', challenge: null },
+      grantedCommands: [],
+      network: { hosts: {} },
+      processes: null, // seeded by processEngine on first use
+      timers: {}, // timer id -> { endsAt, effect }, armed by puzzleEngine
       frozen: false,
-      waitingRoom: true,
-      roundStarted: false,
-      unlockedPaths: new Set(initialUnlockedPaths),
+      waitingRoom: !game.roundStarted,
+      roundStarted: game.roundStarted,
+      // Filesystem identity, e.g. the access point group grants entry to its directory
+      identity,
+      assumedIdentity: null,
       createdAt: new Date(),
       lastActivity: new Date()
     };
@@ -72,10 +98,132 @@ class SessionManager {
       INSERT INTO sessions (id, user_id, filesystem, current_path)
       VALUES (?, ?, ?, ?)
     `).run(sessionId, userId, JSON.stringify(filesystem), session.currentPath);
+    this.persistSession(sessionId);
     
     return session;
   }
 
+  /**
+   * Restore every open game and non-ended session from the database (after
+   * a restart). Sessions whose game has been closed fall back to the
+   * default table.
+   */
+  rehydrate() {
+    gameManager.load();
+    
+    const rows = db.prepare(`
+      SELECT sessions.*, users.username
+      FROM sessions
+      JOIN users ON users.id = sessions.user_id
+      WHERE sessions.ended = 0
+    `).all();
+    
+    let count = 0;
+    for (const row of rows) {
+      if (this.sessions.has(row.id)) continue;
+      
+      try {
+        const gameId = gameManager.games.has(row.game_id) ? row.game_id : DEFAULT_GAME_ID;
+        const scenarioId = row.scenario_id || gameManager.getGame(gameId).scenarioId;
+        let filesystem = JSON.parse(row.filesystem);
+        let identity = parseJSON(row.identity, null);
+        
+        // Rows saved before game state was persisted: derive the pack defaults
+        if (!identity) {
+          identity = this.buildPlayerState(scenarioManager.get(scenarioId), row.user_id).identity;
+          filesystem = VFSEngine.initPermissions(filesystem);
+        }
+        
+        const session = {
+          id: row.id,
+          userId: row.user_id,
+          username: row.username,
+          gameId,
+          scenarioId,
+          fs: filesystem,
+          currentPath: row.current_path || '/',
+          commandHistory: this.loadHistory(row.id),
+          puzzleState: parseJSON(row.puzzle_state, {}),
+          aiState: parseJSON(row.ai_state, { level: 0, status: 'idle', challenge: null }),
+          grantedCommands: parseJSON(row.granted_commands, []),
+          network: parseJSON(row.network, { hosts: {} }),
+          processes: parseJSON(row.processes, null),
+          timers: parseJSON(row.timers, {}),
+          frozen: !!row.frozen,
+          waitingRoom: !!row.waiting_room,
+          roundStarted: !!row.round_started,
+          identity,
+          assumedIdentity: parseJSON(row.assumed_identity, null),
+          createdAt: parseTimestamp(row.created_at),
+          lastActivity: parseTimestamp(row.last_activity)
+        };
+        
+        // Logged in to a remote host: the session works on that host's
+        // filesystem and the home one waits in the bottom connection frame
+        // (older saves kept it there already)
+        const { network } = session;
+        const remoteFS = network.host && network.hosts?.[network.host]?.fs;
+        if (remoteFS && network.stack?.length) {
+          network.stack[0].fs ||= filesystem;
+          session.fs = remoteFS;
+        } else if (network.host) {
+          console.warn(`Session ${row.id} lost its connection to ${network.host}; back on the home machine`);
+          delete network.host;
+          network.stack = [];
+          session.currentPath = '/';
+        }
+        
+        this.sessions.set(session.id, session);
+        eventBus.emit('session_restored', { session });
+        count++;
+      } catch (err) {
+        console.warn(`Failed to rehydrate session ${row.id}:`, err.message);
+      }
+    }
+    
+    return count;
+  }
+
+  /**
+   * Rebuild the in-memory command history from the command log
+   */
+  loadHistory(sessionId) {
+    return db.prepare(`
+      SELECT command, output, timestamp FROM command_logs
+      WHERE session_id = ?
+      ORDER BY id DESC
+      LIMIT 100
+    `).all(sessionId).reverse().map(log => ({
+      command: log.command,
+      output: parseJSON(log.output, null),
+      timestamp: parseTimestamp(log.timestamp)
+    }));
+  }
+
+  /**
+   * Reset a session onto a (possibly different) scenario pack, by default
+   * its game's
+   */
+  reseedSession(sessionId, scenarioId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    
+    const pack = scenarioManager.get(scenarioId || gameManager.getGame(session.gameId).scenarioId);
+    Object.assign(session, this.buildPlayerState(pack, session.userId), {
+      scenarioId: pack.id,
+      puzzleState: {},
+      aiState: { level: 0, status: 'idle', challenge: null },
+      grantedCommands: [],
+      network: { hosts: {} },
+      processes: null,
+      timers: {},
+      assumedIdentity: null
+    });
+    eventBus.emit('session_reset', { sessionId });
+    this.persistSession(sessionId);
+    return session;
+  }
+
   /**
    * Get session by ID
    */
@@ -90,21 +238,36 @@ class SessionManager {
     return Array.from(this.sessions.values()).map(s => ({
       id: s.id,
       username: s.username,
+      gameId: s.gameId,
+      scenarioId: s.scenarioId,
+      host: s.network?.host || null,
       currentPath: s.currentPath,
       lastActivity: s.lastActivity,
       frozen: s.frozen,
       waitingRoom: s.waitingRoom,
-      roundStarted: s.roundStarted
+      roundStarted: s.roundStarted,
+      aiState: { level: s.aiState.level, status: s.aiState.status, trace: s.aiState.trace ?? s.aiState.level * 10 }
     }));
   }
 
   /**
-   * Start round for all sessions (system bypass)
+   * Get the live session objects of a game's players
    */
-  startRound() {
-    this.globalRoundStarted = true;
+  getGameSessions(gameId = DEFAULT_GAME_ID) {
+    return Array.from(this.sessions.values()).filter(s => s.gameId === gameId);
+  }
+
+  /**
+   * Start a game's round for its players (system bypass).
+   * Sessions seeded from another pack than the game's are reseeded first.
+   */
+  startRound(gameId = DEFAULT_GAME_ID) {
+    const game = gameManager.setRound(gameId, true);
     let count = 0;
-    this.sessions.forEach(session => {
+    this.getGameSessions(game.id).forEach(session => {
+      if (session.scenarioId !== game.scenarioId) {
+        this.reseedSession(session.id);
+      }
       session.waitingRoom = false;
       session.roundStarted = true;
       this.persistSession(session.id);
@@ -114,12 +277,12 @@ class SessionManager {
   }
 
   /**
-   * End round for all sessions
+   * End a game's round for its players
    */
-  endRound() {
-    this.globalRoundStarted = false;
+  endRound(gameId = DEFAULT_GAME_ID) {
+    const game = gameManager.setRound(gameId, false);
     let count = 0;
-    this.sessions.forEach(session => {
+    this.getGameSessions(game.id).forEach(session => {
       session.waitingRoom = true;
       session.roundStarted = false;
       this.persistSession(session.id);
@@ -129,10 +292,10 @@ class SessionManager {
   }
 
   /**
-   * Get global round status
+   * Whether a game's round is in progress
    */
-  getGlobalRoundStatus() {
-    return this.globalRoundStarted;
+  isRoundStarted(gameId = DEFAULT_GAME_ID) {
+    return gameManager.getGame(gameId).roundStarted;
   }
 
   /**
@@ -144,6 +307,7 @@ class SessionManager {
       .map(s => ({
         id: s.id,
         username: s.username,
+        gameId: s.gameId,
         currentPath: s.currentPath,
         lastActivity: s.lastActivity,
         frozen: s.frozen,
@@ -192,30 +356,58 @@ class SessionManager {
   }
 
   /**
-   * Persist filesystem changes
+   * Persist filesystem changes and game state
    */
   persistSession(sessionId) {
     const session = this.sessions.get(sessionId);
     if (session) {
       db.prepare(`
         UPDATE sessions
-        SET filesystem = ?, current_path = ?, last_activity = ?
+        SET filesystem = ?, current_path = ?, last_activity = ?,
+            scenario_id = ?, puzzle_state = ?, ai_state = ?, identity = ?,
+            assumed_identity = ?, frozen = ?, waiting_room = ?, round_started = ?,
+            granted_commands = ?, network = ?, processes = ?, timers = ?, game_id = ?
         WHERE id = ?
       `).run(
-        JSON.stringify(session.fs),
+        // The player's own machine, even while they are logged in elsewhere
+        JSON.stringify(networkEngine.getFS(session, null) || session.fs),
         session.currentPath,
         session.lastActivity.toISOString(),
+        session.scenarioId,
+        JSON.stringify(session.puzzleState || {}),
+        JSON.stringify(session.aiState),
+        JSON.stringify(session.identity),
+        session.assumedIdentity ? JSON.stringify(session.assumedIdentity) : null,
+        session.frozen ? 1 : 0,
+        session.waitingRoom ? 1 : 0,
+        session.roundStarted ? 1 : 0,
+        JSON.stringify(session.grantedCommands || []),
+        JSON.stringify(this.serializeNetwork(session.network)),
+        session.processes ? JSON.stringify(session.processes) : null,
+        JSON.stringify(session.timers || {}),
+        session.gameId,
         sessionId
       );
     }
   }
 
   /**
-   * Destroy session
+   * Network state as saved: remote filesystems stay under `hosts`, while the
+   * home filesystem has its own column and is left out of the connection stack
+   */
+  serializeNetwork(network) {
+    if (!network) return { hosts: {} };
+    return { ...network, stack: (network.stack || []).map(({ fs, ...frame }) => frame) };
+  }
+
+  /**
+   * Destroy session (marked ended so it is not rehydrated)
    */
   destroySession(sessionId) {
     this.persistSession(sessionId);
+    db.prepare('UPDATE sessions SET ended = 1 WHERE id = ?').run(sessionId);
     this.sessions.delete(sessionId);
+    eventBus.emit('session_reset', { sessionId });
   }
 }
 
@@ -0,0 +1,197 @@
+/**
+ * Trace Engine
+ * Turns player activity into heat on the security AI's trace meter. Every
+ * command runs through assess() once it has finished, so this is the single
+ * place where noise is measured. A pack's ai.json `trace` section overrides
+ * the costs below (see QUICKSTART.md).
+ */
+
+import scenarioManager from './scenarioManager.js';
+import aiEngine from './aiEngine.js';
+import eventBus from './eventBus.js';
+import { VFSEngine } from './vfsEngine.js';
+
+// Commands that log in with a password; failures count towards brute force
+const loginCommands = ['su', 'ssh', 'connect'];
+
+const defaultTraceConfig = {
+  // Heat per command; an object may also fire an AI event instead
+  commands: {
+    'sudo hack': { event: 'suspicious_command' },
+    su: 1,
+    ssh: 1,
+    connect: 1,
+    decrypt: 1,
+    rm: 1,
+    delete: 1,
+    kill: 1,
+    mv: 1,
+    rmdir: 1,
+    save: 1 // a file saved from the editor
+  },
+  failedCommand: 0,
+  failedDecrypt: 5,
+  failedLogin: 3,
+  monitored: 5,
+  honeypot: 20,
+  burst: { commands: 8, seconds: 5, heat: 10 },
+  bruteForce: { attempts: 3, seconds: 60, heat: 15 }
+};
+
+class TraceEngine {
+  constructor() {
+    this.recent = new Map(); // sessionId -> timestamps of recent commands
+    this.failures = new Map(); // `${sessionId}:${target}` -> failure timestamps
+    
+    eventBus.on('session_reset', ({ sessionId }) => {
+      this.recent.delete(sessionId);
+      for (const key of this.failures.keys()) {
+        if (key.startsWith(`${sessionId}:`)) this.failures.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Get the pack's trace settings, merged over the defaults
+   */
+  getConfig(session) {
+    let config = {};
+    try {
+      config = scenarioManager.get(session.scenarioId).ai.trace || {};
+    } catch (err) {
+      console.warn('Failed to load scenario trace settings:', err.message);
+    }
+    return {
+      ...defaultTraceConfig,
+      ...config,
+      commands: { ...defaultTraceConfig.commands, ...config.commands }
+    };
+  }
+
+  /**
+   * Measure the noise of the commands a player just ran. `activity` lists
+   * { command, args, error, traps } for each command, as returned by
+   * CommandParser.execute.
+   */
+  async assess(session, activity = []) {
+    const config = this.getConfig(session);
+    const now = Date.now();
+    const sources = [];
+    let heat = 0;
+    
+    const add = (amount, source) => {
+      if (amount > 0) {
+        heat += amount;
+        sources.push(source);
+      }
+    };
+    
+    for (const { command, args, error, traps = [] } of activity) {
+      const cost = config.commands[`${command} ${args[0]}`] ?? config.commands[command];
+      if (typeof cost === 'number') {
+        add(cost, command);
+      } else if (cost) {
+        add(cost.heat || 0, command);
+        if (cost.event) {
+          await aiEngine.trigger(session, cost.event, { command });
+        }
+      }
+      
+      if (error) {
+        add(config.failedCommand, 'failed command');
+        if (command === 'decrypt') {
+          add(config.failedDecrypt, 'failed decrypt');
+        }
+        if (loginCommands.includes(command)) {
+          add(config.failedLogin, 'failed login');
+        }
+        if ((command === 'decrypt' || loginCommands.includes(command)) && args[0] && this.isBruteForce(session, `${command}:${args[0]}`, config, now)) {
+          add(config.bruteForce.heat, 'brute force');
+        }
+      }
+      
+      // A sprung honeypot may have removed or swapped its node already
+      const touched = this.touchedNodes(session, args);
+      if (touched.honeypot || traps.includes('honeypot')) {
+        add(config.honeypot, 'honeypot');
+      }
+      if (touched.monitored) {
+        add(config.monitored, 'monitored path');
+      }
+      
+      if (this.isBurst(session, config, now)) {
+        add(config.burst.heat, 'command burst');
+      }
+    }
+    
+    if (heat > 0) {
+      await aiEngine.addTrace(session, heat, sources);
+    }
+    return heat;
+  }
+
+  /**
+   * Find honeypot and monitored nodes among a command's path arguments.
+   * A monitored directory watches everything below it.
+   */
+  touchedNodes(session, args) {
+    const touched = { honeypot: false, monitored: false };
+    
+    for (const arg of args) {
+      if (typeof arg !== 'string' || arg.startsWith('-')) continue;
+      const resolvedPath = VFSEngine.resolvePath(session.fs, session.currentPath, arg);
+      const node = VFSEngine.getNode(session.fs, resolvedPath);
+      if (!node) continue;
+      
+      if (node.meta?.honeypot) {
+        touched.honeypot = true;
+      }
+      
+      let current = '/';
+      const parts = resolvedPath.split('/').filter(Boolean);
+      for (let i = 0; i <= parts.length; i++) {
+        if (VFSEngine.getNode(session.fs, current)?.meta?.monitored) {
+          touched.monitored = true;
+          break;
+        }
+        current = current === '/' ? `/${parts[i]}` : `${current}/${parts[i]}`;
+      }
+    }
+    return touched;
+  }
+
+  /**
+   * Record a command and report when too many arrive within the burst window
+   */
+  isBurst(session, config, now) {
+    const { commands, seconds } = config.burst;
+    const recent = (this.recent.get(session.id) || []).filter(t => now - t < seconds * 1000);
+    recent.push(now);
+    
+    if (recent.length >= commands) {
+      this.recent.set(session.id, []);
+      return true;
+    }
+    this.recent.set(session.id, recent);
+    return false;
+  }
+
+  /**
+   * Record a failure against a target and report repeated attempts
+   */
+  isBruteForce(session, target, config, now) {
+    const { attempts, seconds } = config.bruteForce;
+    const key = `${session.id}:${target}`;
+    const failures = (this.failures.get(key) || []).filter(t => now - t < seconds * 1000);
+    failures.push(now);
+    
+    if (failures.length >= attempts) {
+      this.failures.delete(key);
+      return true;
+    }
+    this.failures.set(key, failures);
+    return false;
+  }
+}
+
+export default new TraceEngine();
@@ -0,0 +1,103 @@
+/**
+ * Tripwire Engine
+ * Springs the traps a pack places on VFS nodes. A trap is a `meta.honeypot`
+ * or `meta.tripwire` object; reading a file (cat) and ls, cd and rm spring
+ * it before they go ahead.
+ * See QUICKSTART.md for the trap format.
+ */
+
+import aiEngine from './aiEngine.js';
+import eventBus from './eventBus.js';
+import { VFSEngine } from './vfsEngine.js';
+
+const trapKinds = ['honeypot', 'tripwire'];
+const defaultTriggers = ['cat', 'ls', 'cd', 'rm'];
+
+class TripwireEngine {
+  constructor() {
+    this.sprung = new Map(); // sessionId -> kinds of trap sprung since drain()
+    
+    eventBus.on('session_reset', ({ sessionId }) => this.sprung.delete(sessionId));
+  }
+
+  /**
+   * Spring the armed traps on the node at `path`. `command` is the verb that
+   * touched it (cat, ls, cd or rm). Returns the kinds of trap that fired.
+   */
+  async touch(session, command, path) {
+    const resolvedPath = VFSEngine.resolvePath(session.fs, session.currentPath, path);
+    const node = VFSEngine.getNode(session.fs, resolvedPath);
+    if (!node) return [];
+    
+    // A bare `honeypot: true` only adds trace heat (see traceEngine)
+    const armed = trapKinds.filter(kind => {
+      const trap = node.meta?.[kind];
+      return trap && typeof trap === 'object' && !trap.sprung
+        && (trap.on || defaultTriggers).includes(command);
+    });
+    
+    for (const kind of armed) {
+      const trap = node.meta[kind];
+      if (trap.once !== false) {
+        trap.sprung = true;
+      }
+      await this.spring(session, resolvedPath, trap, { kind, command });
+    }
+    if (armed.length > 0) {
+      this.sprung.set(session.id, [...(this.sprung.get(session.id) || []), ...armed]);
+    }
+    return armed;
+  }
+
+  /**
+   * Return and forget the kinds of trap sprung for a session since the last
+   * call, so a command's trace can count them wherever they fired
+   */
+  drain(session) {
+    const kinds = this.sprung.get(session.id) || [];
+    this.sprung.delete(session.id);
+    return kinds;
+  }
+
+  /**
+   * Run a trap's consequences: player message, GM alert, AI event and
+   * finally the self-destruct or decoy swap
+   */
+  async spring(session, path, trap, { kind, command }) {
+    const message = trap.message ?? (trap.selfDestruct && !trap.decoy ? `[SYSTEM] ${path} self-destructed on access.` : null);
+    if (message) {
+      eventBus.notify(session.id, message, 'system');
+    }
+    
+    if (trap.alert) {
+      eventBus.emit('gm_alert', {
+        sessionId: session.id,
+        username: session.username,
+        kind,
+        path,
+        command,
+        message: typeof trap.alert === 'string' ? trap.alert : `${session.username} sprang a ${kind} on ${path} (${command})`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (trap.aiEvent) {
+      await aiEngine.trigger(session, trap.aiEvent === true ? 'tripwire' : trap.aiEvent, { path, command });
+    }
+    
+    try {
+      if (trap.decoy) {
+        VFSEngine.replace(session, path, trap.decoy);
+      } else if (trap.selfDestruct) {
+        VFSEngine.remove(session, path);
+        if (session.currentPath === path || session.currentPath.startsWith(`${path}/`)) {
+          session.currentPath = VFSEngine.splitPath(path).parentPath;
+        }
+      }
+    } catch (err) {
+      console.warn(`Trap on ${path} failed for session ${session.id}:`, err.message);
+    }
+  }
+}
+
+export default new TripwireEngine();
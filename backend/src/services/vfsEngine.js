@@ -3,6 +3,12 @@
  * Handles all filesystem operations for player sessions
  */
 
+import cipherRegistry from './cipherRegistry.js';
+import { compilePattern, testPattern } from './ruleEngine.js';
+
+// Meta a copy does not inherit: unlock duties and per-file attempt counters
+const uncopiedMeta = ['securityFile', 'unlocksPaths', 'targetUsers', 'decryptAttempts'];
+
 export class VFSEngine {
   /**
    * Resolve a path relative to current working directory
@@ -15,13 +21,9 @@ export class VFSEngine {
       currentPath = '/';
     }
     
-    // Handle absolute paths
-    if (targetPath.startsWith('/')) {
-      return targetPath;
-    }
-    
-    // Handle relative paths
-    const parts = currentPath.split('/').filter(p => p);
+    // Absolute paths start from the root; both are normalised, so repeated
+    // and trailing slashes never reach a stored path
+    const parts = targetPath.startsWith('/') ? [] : currentPath.split('/').filter(p => p);
     const targetParts = targetPath.split('/').filter(p => p);
     
     for (const part of targetParts) {
@@ -56,30 +58,164 @@ export class VFSEngine {
   }
 
   /**
-   * Check if path is accessible (unlocked)
+   * Get ownership and mode bits for a node, falling back to defaults
    */
-  static isPathUnlocked(session, path) {
-    if (!session.unlockedPaths) {
-      return true; // If no tracking, allow all
+  static getPermissions(node) {
+    const meta = node.meta || {};
+    let mode = typeof meta.mode === 'string' ? parseInt(meta.mode, 8) : meta.mode;
+    if (typeof mode !== 'number' || isNaN(mode)) {
+      mode = meta.locked ? 0 : this.defaultMode(node);
     }
-    
-    // Check if this path or any parent is unlocked
-    const parts = path.split('/').filter(p => p);
-    for (let i = 1; i <= parts.length; i++) {
-      const checkPath = '/' + parts.slice(0, i).join('/');
-      if (session.unlockedPaths.has(checkPath)) {
-        return true;
+    return {
+      owner: meta.owner || 'root',
+      group: meta.group || 'root',
+      mode
+    };
+  }
+
+  /**
+   * Format a node's type and mode bits as an ls-style string (drwxr-xr-x)
+   */
+  static formatMode(node) {
+    const { mode } = this.getPermissions(node);
+    const bits = ['r', 'w', 'x'];
+    let result = node.type === 'dir' ? 'd' : '-';
+    for (let shift = 8; shift >= 0; shift--) {
+      result += mode & (1 << shift) ? bits[(8 - shift) % 3] : '-';
+    }
+    return result;
+  }
+
+  /**
+   * Default mode bits for a node without an explicit mode
+   */
+  static defaultMode(node) {
+    return node.type === 'dir' ? 0o755 : 0o644;
+  }
+
+  /**
+   * Fill in explicit owner, group and mode on every node of a filesystem.
+   * Nodes without their own values inherit them from the parent directory
+   * (files drop the execute bits). Content may still mark nodes with
+   * `locked: true`, which becomes mode 0000 with the inherited mode kept
+   * as `unlockedMode` so setLock can restore it.
+   */
+  static initPermissions(fs) {
+    const apply = (node, inherited) => {
+      const meta = node.meta || {};
+      const owner = meta.owner || inherited.owner;
+      const group = meta.group || inherited.group;
+      let mode;
+      if (meta.mode !== undefined) {
+        mode = this.getPermissions(node).mode;
+      } else {
+        mode = node.type === 'dir' ? inherited.mode : inherited.mode & 0o666;
+      }
+      
+      node.meta = { ...meta, owner, group };
+      if (meta.locked) {
+        node.meta.unlockedMode = this.formatOctal(mode);
+        this.setMode(node, 0);
+      } else {
+        this.setMode(node, mode);
       }
+      
+      if (node.type === 'dir' && node.children) {
+        Object.values(node.children).forEach(child => apply(child, { owner, group, mode }));
+      }
+    };
+    
+    apply(fs.root, { owner: 'root', group: 'root', mode: 0o755 });
+    return fs;
+  }
+
+  /**
+   * Format mode bits as a four-digit octal string (0755)
+   */
+  static formatOctal(mode) {
+    return mode.toString(8).padStart(4, '0');
+  }
+
+  /**
+   * Set a node's mode bits (stored as an octal string in meta)
+   */
+  static setMode(node, mode) {
+    if (!node.meta) {
+      node.meta = {};
+    }
+    node.meta.mode = this.formatOctal(mode);
+    delete node.meta.locked;
+  }
+
+  /**
+   * Get the identity a session is currently acting as
+   */
+  static getIdentity(session) {
+    return session.assumedIdentity || session.identity || { user: 'guest', groups: [] };
+  }
+
+  /**
+   * Check a single permission ('r', 'w' or 'x') on a node for the session's identity
+   */
+  static hasPermission(session, node, perm) {
+    const identity = this.getIdentity(session);
+    if (identity.user === 'root') {
+      return true;
+    }
+    
+    const { owner, group, mode } = this.getPermissions(node);
+    let bits;
+    if (owner === identity.user) {
+      bits = (mode >> 6) & 7;
+    } else if ((identity.groups || []).includes(group)) {
+      bits = (mode >> 3) & 7;
+    } else {
+      bits = mode & 7;
     }
     
-    // Also check if path starts with any unlocked path
-    for (const unlocked of session.unlockedPaths) {
-      if (path.startsWith(unlocked)) {
-        return true;
+    const required = { r: 4, w: 2, x: 1 }[perm];
+    return (bits & required) === required;
+  }
+
+  /**
+   * Walk to a node, requiring execute permission on every directory along the way.
+   * Returns null if the path does not exist.
+   */
+  static traverse(session, resolvedPath, displayPath = resolvedPath) {
+    const parts = resolvedPath.split('/').filter(p => p);
+    let current = session.fs.root;
+    
+    for (const part of parts) {
+      if (current.type !== 'dir' || !current.children || !current.children[part]) {
+        return null;
+      }
+      if (!this.hasPermission(session, current, 'x')) {
+        throw new Error(`Permission denied: ${displayPath}`);
       }
+      current = current.children[part];
     }
     
-    return false;
+    return current;
+  }
+
+  /**
+   * Require permissions on a node, throwing a permission error otherwise
+   */
+  static requirePermission(session, node, perms, displayPath) {
+    for (const perm of perms) {
+      if (!this.hasPermission(session, node, perm)) {
+        throw new Error(`Permission denied: ${displayPath}`);
+      }
+    }
+  }
+
+  /**
+   * Split a resolved path into its parent path and final name
+   */
+  static splitPath(resolvedPath) {
+    const parts = resolvedPath.split('/').filter(p => p);
+    const name = parts.pop();
+    return { parentPath: '/' + parts.join('/'), name };
   }
 
   /**
@@ -87,7 +223,7 @@ export class VFSEngine {
    */
   static list(session, path) {
     const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
-    const node = this.getNode(session.fs, resolvedPath);
+    const node = this.traverse(session, resolvedPath, path);
     
     if (!node) {
       throw new Error(`No such file or directory: ${path}`);
@@ -97,35 +233,19 @@ export class VFSEngine {
       throw new Error(`Not a directory: ${path}`);
     }
     
-    // Check if directory is locked
-    if (node.meta?.locked) {
-      throw new Error(`Permission denied: ${path} is locked`);
-    }
-    
-    // Check if path is unlocked
-    if (!this.isPathUnlocked(session, resolvedPath)) {
-      throw new Error(`Permission denied: ${path} is locked`);
-    }
+    this.requirePermission(session, node, 'rx', path);
     
     const children = node.children || {};
-    const unlockedPaths = session.unlockedPaths || new Set();
-    
-    // Filter children based on unlocked paths
-    return Object.keys(children)
-      .filter(name => {
-        const childPath = resolvedPath === '/' ? `/${name}` : `${resolvedPath}/${name}`;
-        // Always show if it's in an unlocked path or if parent is unlocked
-        return this.isPathUnlocked(session, childPath);
-      })
-      .map(name => {
-        const child = children[name];
-        return {
-          name,
-          type: child.type,
-          size: child.type === 'file' ? (child.contents?.length || 0) : '-',
-          meta: child.meta || {}
-        };
-      });
+    return Object.keys(children).map(name => {
+      const child = children[name];
+      return {
+        name,
+        type: child.type,
+        size: child.type === 'file' ? (child.contents?.length || 0) : '-',
+        meta: child.meta || {},
+        locked: !this.hasPermission(session, child, child.type === 'dir' ? 'x' : 'r')
+      };
+    });
   }
 
   /**
@@ -133,7 +253,7 @@ export class VFSEngine {
    */
   static readFile(session, path) {
     const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
-    const node = this.getNode(session.fs, resolvedPath);
+    const node = this.traverse(session, resolvedPath, path);
     
     if (!node) {
       throw new Error(`No such file: ${path}`);
@@ -143,15 +263,7 @@ export class VFSEngine {
       throw new Error(`Not a file: ${path}`);
     }
     
-    // Check if file is locked
-    if (node.meta?.locked) {
-      throw new Error(`Permission denied: ${path} is locked`);
-    }
-    
-    // Check if path is unlocked
-    if (!this.isPathUnlocked(session, resolvedPath)) {
-      throw new Error(`Permission denied: ${path} is locked`);
-    }
+    this.requirePermission(session, node, 'r', path);
     
     return {
       contents: node.contents || '',
@@ -164,7 +276,7 @@ export class VFSEngine {
    */
   static changeDirectory(session, path) {
     const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
-    const node = this.getNode(session.fs, resolvedPath);
+    const node = this.traverse(session, resolvedPath, path);
     
     if (!node) {
       throw new Error(`No such directory: ${path}`);
@@ -174,14 +286,7 @@ export class VFSEngine {
       throw new Error(`Not a directory: ${path}`);
     }
     
-    if (node.meta?.locked) {
-      throw new Error(`Permission denied: ${path} is locked`);
-    }
-    
-    // Check if path is unlocked
-    if (!this.isPathUnlocked(session, resolvedPath)) {
-      throw new Error(`Permission denied: ${path} is locked`);
-    }
+    this.requirePermission(session, node, 'x', path);
     
     session.currentPath = resolvedPath;
     return resolvedPath;
@@ -192,15 +297,18 @@ export class VFSEngine {
    */
   static search(session, pattern) {
     const results = [];
-    const searchRegex = new RegExp(pattern, 'i');
+    const searchRegex = compilePattern(pattern, 'i');
     
     const searchNode = (node, path) => {
+      // Only look where the player could look themselves
+      if (!this.hasPermission(session, node, 'r')) return;
+      
       if (node.type === 'file') {
         const contents = node.contents || '';
-        if (searchRegex.test(path) || searchRegex.test(contents)) {
-          results.push({ path, type: 'file', match: searchRegex.test(path) ? 'filename' : 'content' });
+        if (testPattern(searchRegex, path) || testPattern(searchRegex, contents)) {
+          results.push({ path, type: 'file', match: testPattern(searchRegex, path) ? 'filename' : 'content' });
         }
-      } else if (node.type === 'dir' && node.children) {
+      } else if (node.type === 'dir' && node.children && this.hasPermission(session, node, 'x')) {
         Object.keys(node.children).forEach(name => {
           searchNode(node.children[name], path === '/' ? `/${name}` : `${path}/${name}`);
         });
@@ -212,50 +320,61 @@ export class VFSEngine {
   }
 
   /**
-   * Decrypt file (simple XOR for demo)
+   * Decrypt one layer of an encrypted file using the cipher named in its header.
+   * If the result is itself ENCRYPTED: the file stays encrypted for the next layer.
+   * Returns null, leaving the file untouched, when the key is wrong. A layer
+   * without a checksum cannot tell a wrong key from the right one, so its
+   * plaintext is returned but the file keeps its ciphertext; so does a file
+   * the player may read but not write.
    */
   static decrypt(session, path, key) {
     const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
-    const node = this.getNode(session.fs, resolvedPath);
+    const node = this.traverse(session, resolvedPath, path);
     
     if (!node || node.type !== 'file') {
       throw new Error(`No such file: ${path}`);
     }
     
+    this.requirePermission(session, node, 'r', path);
+    
     if (!node.meta?.encrypted) {
       throw new Error(`File is not encrypted: ${path}`);
     }
     
-    const encrypted = node.contents;
-    if (encrypted.startsWith('ENCRYPTED:XOR:')) {
-      const hexData = encrypted.replace('ENCRYPTED:XOR:', '');
-      const keyNum = parseInt(key, 10);
-      
-      if (isNaN(keyNum)) {
-        throw new Error('Invalid key format');
-      }
-      
-      // Simple XOR decryption
-      // First, try to decode hex string
-      let bytes;
-      try {
-        bytes = hexData.match(/.{2}/g)?.map(hex => parseInt(hex, 16)) || [];
-      } catch {
-        // If hex decoding fails, treat as plain text and encrypt/decrypt directly
-        bytes = Array.from(encrypted.replace('ENCRYPTED:XOR:', '')).map(c => c.charCodeAt(0));
-      }
-      
-      const decrypted = bytes.map(byte => String.fromCharCode(byte ^ keyNum)).join('');
-      
-      // Update file contents
-      node.contents = decrypted;
+    const decrypted = cipherRegistry.decrypt(node.contents, key);
+    if (decrypted === null || !cipherRegistry.isVerifiable(node.contents) || !this.hasPermission(session, node, 'w')) {
+      return decrypted;
+    }
+    
+    // Update file contents
+    node.contents = decrypted;
+    if (!cipherRegistry.isEncrypted(decrypted)) {
       node.meta.encrypted = false;
       node.meta.decrypted = true;
-      
-      return decrypted;
     }
     
-    throw new Error('Unsupported encryption format');
+    return decrypted;
+  }
+
+  /**
+   * Encrypt a file with a registered cipher (adds a layer if already encrypted)
+   */
+  static encrypt(session, path, cipher, key) {
+    const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
+    const node = this.traverse(session, resolvedPath, path);
+    
+    if (!node || node.type !== 'file') {
+      throw new Error(`No such file: ${path}`);
+    }
+    
+    this.requirePermission(session, node, 'rw', path);
+    
+    const encrypted = cipherRegistry.encrypt(cipher, node.contents || '', key);
+    
+    node.contents = encrypted;
+    node.meta = { ...node.meta, encrypted: true, decrypted: false, modified: new Date().toISOString() };
+    
+    return encrypted;
   }
 
   /**
@@ -276,17 +395,26 @@ export class VFSEngine {
       dirNode.children = {};
     }
     
+    const { owner, group, mode } = this.getPermissions(dirNode);
     dirNode.children[filename] = {
       type: 'file',
       contents,
-      meta
+      meta: {
+        owner,
+        group,
+        mode: this.formatOctal(mode & 0o666),
+        ...meta,
+        modified: new Date().toISOString()
+      }
     };
     
     return resolvedPath;
   }
 
   /**
-   * Lock/unlock path
+   * Lock/unlock path (admin action).
+   * Locking strips all mode bits so only root can enter; unlocking restores
+   * the mode the node had before it was locked.
    */
   static setLock(session, path, locked) {
     const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
@@ -300,20 +428,97 @@ export class VFSEngine {
       node.meta = {};
     }
     
-    node.meta.locked = locked;
+    if (locked) {
+      const current = this.getPermissions(node).mode;
+      if (node.meta.unlockedMode === undefined && current !== 0) {
+        node.meta.unlockedMode = this.formatOctal(current);
+      }
+      this.setMode(node, 0);
+    } else {
+      const previous = node.meta.unlockedMode !== undefined ? parseInt(node.meta.unlockedMode, 8) : 0;
+      this.setMode(node, previous || this.defaultMode(node));
+      delete node.meta.unlockedMode;
+    }
+    
     return { path: resolvedPath, locked };
   }
 
   /**
-   * Delete file or directory
+   * Open a path up for a session: unlock the node itself and make sure every
+   * ancestor directory can at least be traversed.
    */
-  static async delete(session, path) {
+  static grantAccess(session, path) {
     const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
     const parts = resolvedPath.split('/').filter(p => p);
-    const name = parts.pop();
-    const parentPath = '/' + parts.join('/');
+    let current = session.fs.root;
     
-    const parentNode = this.getNode(session.fs, parentPath || '/');
+    for (const part of parts) {
+      if (!this.hasPermission(session, current, 'x')) {
+        this.setMode(current, this.getPermissions(current).mode | 0o001);
+      }
+      current = current.children?.[part];
+      if (!current) {
+        throw new Error(`No such file or directory: ${path}`);
+      }
+    }
+    
+    const result = this.setLock(session, resolvedPath, false);
+    
+    // The restored mode may only cover the owning group; open it to others too
+    const perms = current.type === 'dir' ? ['r', 'x'] : ['r'];
+    if (perms.some(perm => !this.hasPermission(session, current, perm))) {
+      this.setMode(current, this.getPermissions(current).mode | (current.type === 'dir' ? 0o005 : 0o004));
+    }
+    
+    return result;
+  }
+
+  /**
+   * Unlock paths for other players whose access point is in `targetGroups`
+   * (0-3, representing access points 1-4) and who play the same scenario.
+   * The source session is excluded.
+   * Returns the ids of the sessions that were unlocked.
+   */
+  static async unlockPathsForGroups(session, paths, targetGroups) {
+    // Import sessionManager and networkEngine dynamically to avoid circular dependencies
+    const { default: sessionManager } = await import('./sessionManager.js');
+    const { default: networkEngine } = await import('./networkEngine.js');
+    const unlockedSessionIds = [];
+    
+    sessionManager.getAllSessions().forEach(s => {
+      const targetSession = sessionManager.getSession(s.id);
+      if (!targetSession || targetSession.id === session.id) return;
+      if (targetSession.scenarioId !== session.scenarioId) return;
+      
+      const userGroup = targetSession.userId % 4;
+      if (!targetGroups.includes(userGroup)) return;
+      
+      paths.forEach(unlockPath => {
+        try {
+          // Paths open on the player's own machine, wherever they are logged in
+          this.grantAccess(networkEngine.view(targetSession), unlockPath);
+        } catch (err) {
+          console.warn(`Failed to unlock ${unlockPath} for session ${s.id}:`, err.message);
+        }
+      });
+      sessionManager.persistSession(s.id);
+      unlockedSessionIds.push(s.id);
+    });
+    
+    return unlockedSessionIds;
+  }
+
+  /**
+   * Delete a file, or a directory and everything in it with `recursive`.
+   * Emptying a directory needs write permission on it, as in Unix; `force`
+   * (admin path) skips the permission checks. Deleting security files
+   * unlocks paths for other players (see unlockPathsForGroups).
+   */
+  static async delete(session, path, { recursive = false, force = false } = {}) {
+    const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
+    const { parentPath, name } = this.splitPath(resolvedPath);
+    
+    const parentNode = force ? this.getNode(session.fs, parentPath) : this.traverse(session, parentPath, path);
     if (!parentNode || parentNode.type !== 'dir') {
       throw new Error(`Invalid parent directory: ${parentPath}`);
     }
@@ -322,54 +527,323 @@ export class VFSEngine {
       throw new Error(`No such file or directory: ${path}`);
     }
     
-    const nodeToDelete = parentNode.children[name];
+    if (!force) {
+      this.requirePermission(session, parentNode, 'wx', path);
+    }
     
-    // Check if this is a security file that unlocks paths for other players
-    if (nodeToDelete.meta?.securityFile && nodeToDelete.meta?.unlocksPaths) {
-      const unlocksPaths = nodeToDelete.meta.unlocksPaths;
-      const targetUserGroups = nodeToDelete.meta.targetUsers || [];
-      
-      // Import sessionManager dynamically to avoid circular dependency
-      const { default: sessionManager } = await import('./sessionManager.js');
-      
-      // Store unlocked session IDs for notification
-      const unlockedSessionIds = [];
-      
-      // Unlock paths for target user groups (0-3, representing access points 1-4)
-      const allSessions = sessionManager.getAllSessions();
-      allSessions.forEach(s => {
-        const targetSession = sessionManager.getSession(s.id);
-        if (targetSession) {
-          const userGroup = targetSession.userId % 4;
-          // Unlock for target users (but not the one who deleted it)
-          if (targetUserGroups.includes(userGroup) && targetSession.id !== session.id) {
-            unlocksPaths.forEach(unlockPath => {
-              if (!targetSession.unlockedPaths) {
-                targetSession.unlockedPaths = new Set();
-              }
-              targetSession.unlockedPaths.add(unlockPath);
-              // Also unlock all parent paths
-              const parts = unlockPath.split('/').filter(p => p);
-              for (let i = 1; i <= parts.length; i++) {
-                const parentPath = '/' + parts.slice(0, i).join('/');
-                targetSession.unlockedPaths.add(parentPath);
-              }
-            });
-            sessionManager.persistSession(s.id);
-            unlockedSessionIds.push(s.id);
-          }
-        }
-      });
+    const nodeToDelete = parentNode.children[name];
+    if (nodeToDelete.type === 'dir' && !recursive) {
+      throw new Error(`Is a directory: ${path}`);
+    }
+    const entries = this.walk(nodeToDelete, resolvedPath);
+    entries.forEach(({ path: entryPath, node }) => {
+      if (!force && node.type === 'dir' && Object.keys(node.children || {}).length > 0) {
+        this.requirePermission(session, node, 'rwx', entryPath);
+      }
+    });
+    
+    // Security files in the deleted tree unlock paths for other players
+    for (const { node } of entries) {
+      if (!node.meta?.securityFile || !node.meta?.unlocksPaths) continue;
+      const unlocksPaths = node.meta.unlocksPaths;
+      const targetUserGroups = node.meta.targetUsers || [];
+      const unlockedSessionIds = await this.unlockPathsForGroups(session, unlocksPaths, targetUserGroups);
       
       // Store unlocked session IDs in the session for server to notify
       if (!session.meta) {
         session.meta = {};
       }
-      session.meta.recentlyUnlockedSessions = unlockedSessionIds;
-      session.meta.recentlyUnlockedPaths = unlocksPaths;
+      session.meta.recentlyUnlockedSessions = [...new Set([...(session.meta.recentlyUnlockedSessions || []), ...unlockedSessionIds])];
+      session.meta.recentlyUnlockedPaths = [...(session.meta.recentlyUnlockedPaths || []), ...unlocksPaths];
     }
     
     delete parentNode.children[name];
+    if (this.isWithin(session.currentPath, resolvedPath)) {
+      session.currentPath = parentPath;
+    }
+    return resolvedPath;
+  }
+
+  /**
+   * Delete an empty directory
+   */
+  static async removeDirectory(session, path) {
+    const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
+    const node = this.traverse(session, resolvedPath, path);
+    
+    if (!node) {
+      throw new Error(`No such directory: ${path}`);
+    }
+    if (node.type !== 'dir') {
+      throw new Error(`Not a directory: ${path}`);
+    }
+    if (Object.keys(node.children || {}).length > 0) {
+      throw new Error(`Directory not empty: ${path}`);
+    }
+    
+    return this.delete(session, path, { recursive: true });
+  }
+
+  /**
+   * Create a directory. With `parents`, missing parents are created too and
+   * an existing directory is not an error. Returns the paths created.
+   */
+  static makeDirectory(session, path, { parents = false } = {}) {
+    const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
+    const parts = resolvedPath.split('/').filter(p => p);
+    const created = [];
+    let current = session.fs.root;
+    let currentPath = '';
+    if (parts.length === 0 && !parents) {
+      throw new Error(`File exists: ${path}`);
+    }
+    
+    for (const [index, part] of parts.entries()) {
+      const last = index === parts.length - 1;
+      currentPath += `/${part}`;
+      this.requirePermission(session, current, 'x', path);
+      
+      const child = current.children?.[part];
+      if (child) {
+        if (child.type !== 'dir') {
+          throw new Error(`Not a directory: ${currentPath}`);
+        }
+        if (last && !parents) {
+          throw new Error(`File exists: ${path}`);
+        }
+        current = child;
+        continue;
+      }
+      if (!last && !parents) {
+        throw new Error(`No such directory: ${currentPath}`);
+      }
+      
+      this.requirePermission(session, current, 'wx', path);
+      current.children ||= {};
+      current.children[part] = {
+        type: 'dir',
+        children: {},
+        meta: { ...this.newOwnership(session), modified: new Date().toISOString() }
+      };
+      current = current.children[part];
+      created.push(currentPath);
+    }
+    
+    return created;
+  }
+
+  /**
+   * Create an empty file, or mark an existing one modified. Returns whether
+   * the file was created.
+   */
+  static touch(session, path) {
+    const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
+    const node = this.traverse(session, resolvedPath, path);
+    
+    if (!node) {
+      this.writeFile(session, path, '');
+      return { path: resolvedPath, created: true };
+    }
+    
+    this.requirePermission(session, node, 'w', path);
+    node.meta = { ...node.meta, modified: new Date().toISOString() };
+    return { path: resolvedPath, created: false };
+  }
+
+  /**
+   * Copy a file, or a directory tree with `recursive`, on behalf of the
+   * player. Copying needs read access to everything copied and write access
+   * to the destination directory. New copies belong to the player; a file
+   * copied over keeps its owner.
+   */
+  static copyPath(session, sourcePath, targetPath, { recursive = false } = {}) {
+    const resolvedSource = this.resolvePath(session.fs, session.currentPath, sourcePath);
+    const node = this.traverse(session, resolvedSource, sourcePath);
+    
+    if (!node) {
+      throw new Error(`No such file or directory: ${sourcePath}`);
+    }
+    if (node.type === 'dir' && !recursive) {
+      throw new Error(`Is a directory: ${sourcePath} (use cp -r)`);
+    }
+    this.walk(node, resolvedSource).forEach(({ path: entryPath, node: entry }) => {
+      this.requirePermission(session, entry, entry.type === 'dir' ? 'rx' : 'r', entryPath);
+    });
+    
+    const target = this.resolveDestination(session, resolvedSource, node, targetPath);
+    if (target.existing) {
+      this.requirePermission(session, target.existing, 'w', targetPath);
+    }
+    
+    const ownership = this.newOwnership(session);
+    const copy = this.cloneFS(node);
+    this.walk(copy, target.path).forEach(({ node: entry }) => {
+      uncopiedMeta.forEach(key => delete entry.meta?.[key]);
+      entry.meta = { ...entry.meta, ...ownership };
+    });
+    if (target.existing) {
+      // Overwriting keeps the file's owner, group and mode, as writeFile does
+      const { owner, group, mode } = target.existing.meta || {};
+      copy.meta = { ...copy.meta, owner, group, mode };
+      if (mode === undefined) delete copy.meta.mode;
+    }
+    copy.meta.modified = new Date().toISOString();
+    
+    target.parent.children ||= {};
+    target.parent.children[target.name] = copy;
+    return { source: resolvedSource, target: target.path };
+  }
+
+  /**
+   * Move or rename a file or directory on behalf of the player. Both the
+   * source and destination directories need write permission; the node
+   * keeps its owner.
+   */
+  static movePath(session, sourcePath, targetPath) {
+    const resolvedSource = this.resolvePath(session.fs, session.currentPath, sourcePath);
+    const { parentPath, name } = this.splitPath(resolvedSource);
+    const sourceParent = this.traverse(session, parentPath, sourcePath);
+    const node = sourceParent?.children?.[name];
+    
+    if (!name || !node) {
+      throw new Error(`No such file or directory: ${sourcePath}`);
+    }
+    this.requirePermission(session, sourceParent, 'wx', sourcePath);
+    
+    const target = this.resolveDestination(session, resolvedSource, node, targetPath);
+    
+    delete sourceParent.children[name];
+    target.parent.children ||= {};
+    target.parent.children[target.name] = node;
+    if (this.isWithin(session.currentPath, resolvedSource)) {
+      // The player's working directory moves with the tree
+      session.currentPath = target.path + session.currentPath.slice(resolvedSource.length);
+    }
+    return { source: resolvedSource, target: target.path };
+  }
+
+  /**
+   * Work out where a cp or mv lands: inside `targetPath` when it is a
+   * directory, otherwise at that path. Only a file may replace a file.
+   */
+  static resolveDestination(session, resolvedSource, node, targetPath) {
+    const resolvedTarget = this.resolvePath(session.fs, session.currentPath, targetPath);
+    const targetNode = this.traverse(session, resolvedTarget, targetPath);
+    
+    let parentPath;
+    let name;
+    if (targetNode?.type === 'dir') {
+      parentPath = resolvedTarget;
+      name = this.splitPath(resolvedSource).name;
+    } else {
+      ({ parentPath, name } = this.splitPath(resolvedTarget));
+    }
+    const path = parentPath === '/' ? `/${name}` : `${parentPath}/${name}`;
+    
+    const parent = this.traverse(session, parentPath, targetPath);
+    if (!name || !parent || parent.type !== 'dir') {
+      throw new Error(`No such directory: ${parentPath}`);
+    }
+    if (path === resolvedSource) {
+      throw new Error(`${targetPath} and the source are the same file`);
+    }
+    if (this.isWithin(path, resolvedSource)) {
+      throw new Error(`Cannot put ${resolvedSource} inside itself`);
+    }
+    
+    const existing = parent.children?.[name];
+    if (existing && (existing.type === 'dir' || node.type === 'dir')) {
+      throw new Error(`File exists: ${path}`);
+    }
+    this.requirePermission(session, parent, 'wx', targetPath);
+    
+    return { parent, name, path, existing };
+  }
+
+  /**
+   * List a node and everything below it as { path, node }, parents first
+   */
+  static walk(node, path) {
+    const entries = [{ path, node }];
+    if (node.type === 'dir') {
+      for (const [name, child] of Object.entries(node.children || {})) {
+        entries.push(...this.walk(child, path === '/' ? `/${name}` : `${path}/${name}`));
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Whether a path is `dirPath` itself or somewhere below it
+   */
+  static isWithin(path, dirPath) {
+    return path === dirPath || path.startsWith(`${dirPath}/`);
+  }
+
+  /**
+   * Owner and group for a node the player creates
+   */
+  static newOwnership(session) {
+    const identity = this.getIdentity(session);
+    return { owner: identity.user, group: identity.groups?.[0] || identity.user };
+  }
+
+  /**
+   * Remove a file or directory without permission checks (admin/effect path)
+   */
+  static remove(session, path) {
+    const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
+    const { parentPath, name } = this.splitPath(resolvedPath);
+    const parentNode = this.getNode(session.fs, parentPath);
+    
+    if (!parentNode || !parentNode.children || !parentNode.children[name]) {
+      throw new Error(`No such file or directory: ${path}`);
+    }
+    
+    delete parentNode.children[name];
+    return resolvedPath;
+  }
+
+  /**
+   * Scramble part of a file's contents without permission checks
+   * (admin/effect path). `ratio` is the share of characters replaced.
+   */
+  static corrupt(session, path, ratio = 0.3) {
+    const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
+    const node = this.getNode(session.fs, resolvedPath);
+    
+    if (!node || node.type !== 'file') {
+      throw new Error(`No such file: ${path}`);
+    }
+    
+    const noise = '#%&@$*!?~^';
+    node.contents = Array.from(String(node.contents ?? ''), char =>
+      char !== '\n' && Math.random() < ratio ? noise[Math.floor(Math.random() * noise.length)] : char
+    ).join('');
+    node.meta = { ...node.meta, corrupted: true };
+    return resolvedPath;
+  }
+
+  /**
+   * Swap a node for another tree without permission checks (admin/effect
+   * path). The new tree inherits the old node's owner, group and mode
+   * unless it sets its own.
+   */
+  static replace(session, path, tree) {
+    const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
+    const { parentPath, name } = this.splitPath(resolvedPath);
+    const parentNode = this.getNode(session.fs, parentPath);
+    
+    if (!parentNode || !parentNode.children || !parentNode.children[name]) {
+      throw new Error(`No such file or directory: ${path}`);
+    }
+    
+    const { owner, group, mode } = this.getPermissions(parentNode.children[name]);
+    const node = this.cloneFS(tree);
+    node.meta = { owner, group, mode: this.formatOctal(mode), ...node.meta };
+    this.initPermissions({ root: node });
+    
+    parentNode.children[name] = node;
     return resolvedPath;
   }
 
@@ -447,27 +921,39 @@ export class VFSEngine {
   }
 
   /**
-   * Write file (create or update)
+   * Write file (create or update) on behalf of the player.
+   * Overwriting needs write permission on the file, creating needs write
+   * permission on the directory. New files are owned by the writer.
    */
   static writeFile(session, path, contents, meta = {}) {
     const resolvedPath = this.resolvePath(session.fs, session.currentPath, path);
-    const parts = resolvedPath.split('/').filter(p => p);
-    const filename = parts.pop();
-    const dirPath = '/' + parts.join('/');
+    const { parentPath, name: filename } = this.splitPath(resolvedPath);
     
-    const dirNode = this.getNode(session.fs, dirPath || '/');
+    const dirNode = this.traverse(session, parentPath, path);
     if (!dirNode || dirNode.type !== 'dir') {
-      throw new Error(`Invalid directory: ${dirPath}`);
+      throw new Error(`Invalid directory: ${parentPath}`);
     }
     
     if (!dirNode.children) {
       dirNode.children = {};
     }
     
+    const existing = dirNode.children[filename];
+    if (existing) {
+      if (existing.type !== 'file') {
+        throw new Error(`Not a file: ${path}`);
+      }
+      this.requirePermission(session, existing, 'w', path);
+    } else {
+      this.requirePermission(session, dirNode, 'wx', path);
+    }
+    
+    const ownership = existing ? {} : this.newOwnership(session);
+    
     dirNode.children[filename] = {
       type: 'file',
       contents,
-      meta
+      meta: { ...ownership, ...meta, modified: new Date().toISOString() }
     };
     
     return resolvedPath;
@@ -1,22 +1,25 @@
 import { useEffect, useState } from 'react';
 
-export default function BootSeq({ onComplete }) {
+const defaultBootMessages = [
+  '[SYSTEM] Initializing neural interface...',
+  '[SYSTEM] Loading virtual filesystem...',
+  '[SYSTEM] Establishing secure connection...',
+  '[SYSTEM] Authenticating user credentials...',
+  '[SYSTEM] Mounting encrypted partitions...',
+  '[SYSTEM] Loading terminal environment...',
+  '[SYSTEM] Connection established.',
+  '',
+  'Welcome to NEON RAIN',
+  'Type "help" for available commands.',
+  ''
+];
+
+export default function BootSeq({ onComplete, messages }) {
   const [lines, setLines] = useState([]);
   const [currentLine, setCurrentLine] = useState(0);
 
-  const bootMessages = [
-    '[SYSTEM] Initializing neural interface...',
-    '[SYSTEM] Loading virtual filesystem...',
-    '[SYSTEM] Establishing secure connection...',
-    '[SYSTEM] Authenticating user credentials...',
-    '[SYSTEM] Mounting encrypted partitions...',
-    '[SYSTEM] Loading terminal environment...',
-    '[SYSTEM] Connection established.',
-    '',
-    'Welcome to NEON RAIN',
-    'Type "help" for available commands.',
-    ''
-  ];
+  // Scenario packs can supply their own boot text
+  const bootMessages = messages && messages.length > 0 ? messages : defaultBootMessages;
 
   useEffect(() => {
     if (currentLine < bootMessages.length) {
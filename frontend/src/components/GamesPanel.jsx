@@ -0,0 +1,178 @@
+import { useState } from 'react';
+import RoundTimer from './RoundTimer';
+
+export default function GamesPanel({ games, scenarios, sessions, selectedGameId, onSelect, onChange, onReloadScenarios }) {
+  const [drafts, setDrafts] = useState({}); // gameId -> { scenarioId, minutes }
+  const [newName, setNewName] = useState('');
+
+  const setDraft = (gameId, changes) => {
+    setDrafts(prev => ({ ...prev, [gameId]: { ...prev[gameId], ...changes } }));
+  };
+
+  const request = async (url, method, body, failure) => {
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || failure);
+        return null;
+      }
+      onChange?.();
+      return data;
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      alert(failure);
+      return null;
+    }
+  };
+
+  const handleStartRound = (game) => {
+    const draft = drafts[game.id] || {};
+    request('/api/admin/round/start', 'POST', {
+      gameId: game.id,
+      scenarioId: draft.scenarioId || undefined,
+      duration: draft.minutes ? Number(draft.minutes) * 60 : undefined
+    }, 'Failed to start round');
+  };
+
+  const handleEndRound = (game) => {
+    request('/api/admin/round/end', 'POST', { gameId: game.id }, 'Failed to end round');
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    const data = await request('/api/admin/games', 'POST', { name: newName.trim() }, 'Failed to create game');
+    if (data) {
+      setNewName('');
+    }
+  };
+
+  const handleClose = (game) => {
+    if (!confirm(`Close ${game.name}? Its players will be logged out.`)) return;
+    if (selectedGameId === game.id) {
+      onSelect?.('');
+    }
+    request(`/api/admin/games/${game.id}`, 'DELETE', null, 'Failed to close game');
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-xl font-bold text-yellow-400">Games</h2>
+        <div className="flex gap-2">
+          <form onSubmit={handleCreate} className="flex gap-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="Table name"
+              className="bg-black border border-yellow-500/50 rounded px-2 py-1 text-yellow-300 text-sm"
+            />
+            <button
+              type="submit"
+              className="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 rounded text-white text-sm"
+            >
+              New Table
+            </button>
+          </form>
+          <button
+            onClick={onReloadScenarios}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-sm"
+            title="Reload scenario packs from disk"
+          >
+            Reload Packs
+          </button>
+        </div>
+      </div>
+      
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {games.map(game => {
+          const players = sessions.filter(s => s.gameId === game.id);
+          const waiting = players.filter(s => s.waitingRoom).length;
+          const started = players.filter(s => s.roundStarted).length;
+          const draft = drafts[game.id] || {};
+          const scenarioId = draft.scenarioId || game.scenarioId;
+          
+          return (
+            <div
+              key={game.id}
+              onClick={() => onSelect?.(selectedGameId === game.id ? '' : game.id)}
+              className={`bg-gray-900 border rounded-lg p-3 cursor-pointer transition ${
+                selectedGameId === game.id
+                  ? 'border-yellow-400'
+                  : 'border-yellow-500/30 hover:border-yellow-500/60'
+              }`}
+            >
+              <div className="flex justify-between items-center mb-1">
+                <span className="font-bold text-yellow-300">{game.name}</span>
+                <span className="text-sm tracking-widest text-cyan-300" title="Join code">{game.code}</span>
+              </div>
+              <div className="text-xs text-gray-400 mb-2">
+                {players.length} player{players.length === 1 ? '' : 's'}: {waiting} waiting, {started} started
+                {game.roundStarted && <span className="text-green-400"> · ROUND LIVE</span>}
+              </div>
+              {/* Controls act on this table only; clicks here do not toggle the filter */}
+              <div className="flex gap-2 flex-wrap" onClick={(e) => e.stopPropagation()}>
+                <select
+                  value={scenarioId}
+                  onChange={(e) => setDraft(game.id, { scenarioId: e.target.value })}
+                  disabled={game.roundStarted}
+                  title={scenarios.find(s => s.id === scenarioId)?.description || ''}
+                  className="bg-black border border-yellow-500/50 rounded px-2 py-1 text-yellow-300 text-sm disabled:opacity-50"
+                >
+                  {scenarios.map(s => (
+                    <option key={s.id} value={s.id}>{s.name}</option>
+                  ))}
+                </select>
+                {!game.roundStarted && players.length > 0 && (
+                  <>
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="min"
+                      value={draft.minutes || ''}
+                      onChange={(e) => setDraft(game.id, { minutes: e.target.value })}
+                      title="Round length in minutes (blank for the pack default or an untimed round)"
+                      className="w-16 bg-black border border-yellow-500/50 rounded px-2 py-1 text-yellow-300 text-sm"
+                    />
+                    <button
+                      onClick={() => handleStartRound(game)}
+                      className="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 rounded text-white text-sm"
+                    >
+                      Start Round
+                    </button>
+                  </>
+                )}
+                {game.roundStarted && (
+                  <button
+                    onClick={() => handleEndRound(game)}
+                    className="px-3 py-1 bg-red-600 hover:bg-red-700 rounded text-white text-sm"
+                  >
+                    End Round
+                  </button>
+                )}
+                {game.id !== 'default' && !game.roundStarted && (
+                  <button
+                    onClick={() => handleClose(game)}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-xs"
+                  >
+                    Close
+                  </button>
+                )}
+              </div>
+              <div onClick={(e) => e.stopPropagation()}>
+                <RoundTimer gameId={game.id} clock={game.clock} onChange={() => onChange?.()} />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+
+export default function GmAlerts({ adminSocket }) {
+  const [alerts, setAlerts] = useState([]);
+
+  useEffect(() => {
+    if (!adminSocket) return;
+    
+    const handleAlert = (data) => {
+      setAlerts(prev => [data, ...prev].slice(0, 20));
+    };
+    
+    adminSocket.on('gm_alert', handleAlert);
+    return () => {
+      adminSocket.off('gm_alert', handleAlert);
+    };
+  }, [adminSocket]);
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="bg-gray-900 border border-red-500/50 rounded-lg p-4 mb-6">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-xl font-bold text-red-400">GM Alerts</h2>
+        <button
+          onClick={() => setAlerts([])}
+          className="text-xs text-gray-400 hover:text-white"
+        >
+          Clear
+        </button>
+      </div>
+      <div className="space-y-2">
+        {alerts.map((alert, i) => (
+          <div key={`${alert.timestamp}-${i}`} className="text-xs">
+            <div className="text-red-300">{alert.message}</div>
+            <div className="text-gray-500">
+              {new Date(alert.timestamp).toLocaleTimeString()} · {alert.username} · {alert.command} {alert.path}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+
+const emptyDraft = { name: '', command: '', user: 'root', watchdog: false };
+
+export default function ProcessPanel({ sessionId }) {
+  const [processes, setProcesses] = useState([]);
+  const [host, setHost] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+
+  const loadProcesses = async () => {
+    try {
+      const res = await fetch(`/api/admin/session/${sessionId}/processes`, {
+        credentials: 'include'
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setProcesses(data.processes || []);
+        setHost(data.host);
+      }
+    } catch (err) {
+      console.error('Failed to load processes:', err);
+    }
+  };
+
+  useEffect(() => {
+    if (sessionId) {
+      loadProcesses();
+    }
+  }, [sessionId]);
+
+  const request = async (url, body, failure) => {
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(body || {})
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || failure);
+        return false;
+      }
+      loadProcesses();
+      return true;
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      alert(failure);
+      return false;
+    }
+  };
+
+  const handleKill = (proc) => {
+    if (!confirm(`Kill ${proc.name} (${proc.pid})? Its consequences apply to the player.`)) return;
+    request(`/api/admin/session/${sessionId}/processes/${proc.pid}/kill`, null, 'Failed to kill process');
+  };
+
+  const handleSpawn = async (e) => {
+    e.preventDefault();
+    if (!draft.name.trim() || !draft.command.trim()) return;
+    const spawned = await request(`/api/admin/session/${sessionId}/processes`, {
+      name: draft.name.trim(),
+      command: draft.command.trim(),
+      user: draft.user.trim() || 'root',
+      watchdog: draft.watchdog || undefined
+    }, 'Failed to spawn process');
+    if (spawned) {
+      setDraft(emptyDraft);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 border border-cyan-500/30 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-cyan-400">
+          Processes{host && <span className="text-sm text-gray-400"> on {host}</span>}
+        </h2>
+        <button
+          onClick={loadProcesses}
+          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-xs"
+        >
+          Refresh
+        </button>
+      </div>
+      <div className="space-y-1 mb-4 font-mono text-xs">
+        {processes.map(proc => (
+          <div key={proc.pid} className="flex items-center gap-2">
+            <span className="w-12 text-right text-gray-500">{proc.pid}</span>
+            <span className="w-20 truncate text-gray-400">{proc.user}</span>
+            <span className="flex-1 truncate text-cyan-300" title={proc.command}>
+              {proc.name}
+              {proc.watchdog && <span className="text-yellow-400"> [watchdog]</span>}
+              {proc.protected && <span className="text-gray-500"> [protected]</span>}
+            </span>
+            <button
+              onClick={() => handleKill(proc)}
+              className="px-2 py-0.5 bg-red-600 hover:bg-red-700 rounded text-white"
+            >
+              Kill
+            </button>
+          </div>
+        ))}
+        {processes.length === 0 && (
+          <div className="text-gray-500">No processes running</div>
+        )}
+      </div>
+      <form onSubmit={handleSpawn} className="flex gap-2 flex-wrap">
+        <input
+          type="text"
+          placeholder="name"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          className="w-32 bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+        />
+        <input
+          type="text"
+          placeholder="/usr/bin/command --args"
+          value={draft.command}
+          onChange={(e) => setDraft({ ...draft, command: e.target.value })}
+          className="flex-1 bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+        />
+        <input
+          type="text"
+          placeholder="user"
+          value={draft.user}
+          onChange={(e) => setDraft({ ...draft, user: e.target.value })}
+          className="w-24 bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+        />
+        <label className="flex items-center gap-1 text-sm text-gray-400" title="Killing it pauses the trace until the AI raises the alarm">
+          <input
+            type="checkbox"
+            checked={draft.watchdog}
+            onChange={(e) => setDraft({ ...draft, watchdog: e.target.checked })}
+          />
+          Watchdog
+        </label>
+        <button
+          type="submit"
+          className="px-3 py-1 bg-cyan-600 hover:bg-cyan-700 rounded text-white text-sm"
+        >
+          Spawn
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,580 @@
+import { useState, useEffect } from 'react';
+
+const effectActions = [
+  'addFile', 'removeFile', 'moveFile', 'decrypt', 'unlock', 'lock',
+  'unlockPathForGroup', 'sendMessage', 'grantCommand', 'startTimer',
+  'stopTimer', 'spawnNetworkHost', 'raiseAlert', 'lowerAlert', 'freeze',
+  'playSound', 'corruptFile', 'changeDirectory', 'disconnect'
+];
+
+const emptyPuzzle = {
+  id: '',
+  desc: '',
+  triggers: [{ type: 'open', path: '/' }],
+  onSuccess: []
+};
+
+// Keys the form edits; anything else (e.g. steps) is kept as-is
+const formKeys = [
+  'id', 'desc', 'requires', 'triggers', 'anyOf', 'allOf', 'count', 'autoSolve',
+  'validate', 'successMessage', 'failMessage', 'onSuccess', 'onFail'
+];
+
+/**
+ * Split a puzzle into editable form fields
+ */
+function toForm(puzzle) {
+  const mode = ['allOf', 'anyOf', 'triggers'].find(key => puzzle[key]) || 'triggers';
+  const toRows = (effects) => (effects || []).map(({ action, ...params }) => ({
+    action,
+    params: JSON.stringify(params)
+  }));
+  const extra = Object.fromEntries(Object.entries(puzzle).filter(([key]) => !formKeys.includes(key)));
+
+  return {
+    id: puzzle.id || '',
+    desc: puzzle.desc || '',
+    requires: (puzzle.requires || []).join(', '),
+    mode,
+    triggers: (puzzle[mode] || []).map(trigger => ({ ...trigger })),
+    count: puzzle.count ? String(puzzle.count) : '',
+    autoSolve: !!puzzle.autoSolve,
+    validate: puzzle.validate === undefined
+      ? ''
+      : typeof puzzle.validate === 'string' ? puzzle.validate : JSON.stringify(puzzle.validate),
+    successMessage: puzzle.successMessage || '',
+    failMessage: puzzle.failMessage || '',
+    onSuccess: toRows(puzzle.onSuccess),
+    onFail: toRows(puzzle.onFail),
+    extra
+  };
+}
+
+/**
+ * Build a puzzle from form fields; throws on malformed JSON
+ */
+function fromForm(form) {
+  const fromRows = (rows, label) => rows.map((row, index) => {
+    try {
+      return { action: row.action, ...JSON.parse(row.params || '{}') };
+    } catch {
+      throw new Error(`${label} #${index + 1}: parameters are not valid JSON`);
+    }
+  });
+
+  const puzzle = { id: form.id.trim(), desc: form.desc };
+  const requires = form.requires.split(',').map(id => id.trim()).filter(Boolean);
+  if (requires.length > 0) puzzle.requires = requires;
+  if (!form.extra.steps) {
+    puzzle[form.mode] = form.triggers;
+    if (form.count && form.mode !== 'allOf') puzzle.count = Number(form.count);
+  }
+  if (form.autoSolve) puzzle.autoSolve = true;
+  if (form.validate.trim()) {
+    const validate = form.validate.trim();
+    try {
+      puzzle.validate = validate.startsWith('{') ? JSON.parse(validate) : validate;
+    } catch {
+      throw new Error('validate is not valid JSON');
+    }
+  }
+  if (form.successMessage) puzzle.successMessage = form.successMessage;
+  if (form.failMessage) puzzle.failMessage = form.failMessage;
+  puzzle.onSuccess = fromRows(form.onSuccess, 'onSuccess');
+  if (form.onFail.length > 0) puzzle.onFail = fromRows(form.onFail, 'onFail');
+  return { ...puzzle, ...form.extra };
+}
+
+export default function PuzzleEditor({ scenarios, sessions, defaultScenario }) {
+  const [scenarioId, setScenarioId] = useState(defaultScenario || '');
+  const [puzzles, setPuzzles] = useState([]);
+  const [selectedId, setSelectedId] = useState(null); // null = new puzzle
+  const [form, setForm] = useState(toForm(emptyPuzzle));
+  const [jsonMode, setJsonMode] = useState(false);
+  const [jsonText, setJsonText] = useState('');
+  const [status, setStatus] = useState(null);
+  const [testSession, setTestSession] = useState('');
+  const [testEvent, setTestEvent] = useState({ type: 'open', path: '', key: '' });
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    if (!scenarioId && defaultScenario) {
+      setScenarioId(defaultScenario);
+    }
+  }, [defaultScenario]);
+
+  useEffect(() => {
+    if (scenarioId) {
+      loadPuzzles();
+    }
+  }, [scenarioId]);
+
+  const loadPuzzles = async (reload = false) => {
+    try {
+      const res = reload
+        ? await fetch('/api/admin/puzzles/reload', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ scenarioId })
+          })
+        : await fetch(`/api/admin/puzzles?scenarioId=${encodeURIComponent(scenarioId)}`, {
+            credentials: 'include'
+          });
+      const data = await res.json();
+      setPuzzles(data.puzzles || []);
+    } catch (err) {
+      console.error('Failed to load puzzles:', err);
+    }
+  };
+
+  const selectPuzzle = (puzzle) => {
+    setSelectedId(puzzle ? puzzle.id : null);
+    setForm(toForm(puzzle || emptyPuzzle));
+    setJsonText(JSON.stringify(puzzle || emptyPuzzle, null, 2));
+    setStatus(null);
+    setReport(null);
+  };
+
+  const currentPuzzle = () => {
+    return jsonMode ? JSON.parse(jsonText) : fromForm(form);
+  };
+
+  const toggleJsonMode = () => {
+    try {
+      if (jsonMode) {
+        setForm(toForm(JSON.parse(jsonText)));
+      } else {
+        setJsonText(JSON.stringify(fromForm(form), null, 2));
+      }
+      setJsonMode(!jsonMode);
+      setStatus(null);
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const request = async (url, method, body) => {
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const handleSave = async () => {
+    try {
+      const puzzle = currentPuzzle();
+      const data = selectedId
+        ? await request(`/api/admin/puzzles/${encodeURIComponent(selectedId)}`, 'PUT', { scenarioId, puzzle })
+        : await request('/api/admin/puzzles', 'POST', { scenarioId, puzzle });
+      await loadPuzzles();
+      setSelectedId(data.puzzle.id);
+      setStatus({ message: `Saved ${data.puzzle.id}` });
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedId || !confirm(`Delete puzzle ${selectedId}?`)) return;
+    try {
+      await request(`/api/admin/puzzles/${encodeURIComponent(selectedId)}?scenarioId=${encodeURIComponent(scenarioId)}`, 'DELETE');
+      await loadPuzzles();
+      selectPuzzle(null);
+      setStatus({ message: 'Puzzle deleted' });
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const handleTest = async () => {
+    if (!testSession) return;
+    try {
+      const event = testEvent.path ? testEvent : undefined;
+      const data = await request('/api/admin/puzzles/test', 'POST', {
+        sessionId: testSession,
+        puzzle: currentPuzzle(),
+        event
+      });
+      setReport(data.report);
+      setStatus(null);
+    } catch (err) {
+      setReport(null);
+      setStatus({ error: err.message });
+    }
+  };
+
+  const handleSessionAction = async (action) => {
+    if (!testSession || !selectedId) return;
+    try {
+      await request(`/api/admin/session/${testSession}/puzzles/${encodeURIComponent(selectedId)}/${action}`, 'POST');
+      setStatus({ message: action === 'solve' ? `Marked ${selectedId} solved` : `Reset ${selectedId}` });
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const updateRow = (list, index, changes) => {
+    updateForm({ [list]: form[list].map((row, i) => (i === index ? { ...row, ...changes } : row)) });
+  };
+
+  const removeRow = (list, index) => {
+    updateForm({ [list]: form[list].filter((_, i) => i !== index) });
+  };
+
+  const renderEffects = (list, label) => (
+    <div className="space-y-2">
+      <div className="flex justify-between items-center">
+        <label className="text-sm text-gray-400">{label}</label>
+        <button
+          onClick={() => updateForm({ [list]: [...form[list], { action: 'sendMessage', params: '{"message": ""}' }] })}
+          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-xs"
+        >
+          + Effect
+        </button>
+      </div>
+      {form[list].map((row, index) => (
+        <div key={index} className="flex gap-2">
+          <select
+            value={row.action}
+            onChange={(e) => updateRow(list, index, { action: e.target.value })}
+            className="bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+          >
+            {effectActions.map(action => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={row.params}
+            onChange={(e) => updateRow(list, index, { params: e.target.value })}
+            placeholder='{"target": "/path"}'
+            className="flex-1 bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+          />
+          <button
+            onClick={() => removeRow(list, index)}
+            className="px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-white text-xs"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+
+  const inputClass = 'w-full bg-black border border-cyan-500/50 rounded px-3 py-2 text-cyan-300 text-sm';
+
+  return (
+    <div className="bg-gray-900 border border-cyan-500/30 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-cyan-400">Puzzle Editor</h2>
+        <div className="flex gap-2">
+          <select
+            value={scenarioId}
+            onChange={(e) => {
+              setScenarioId(e.target.value);
+              selectPuzzle(null);
+            }}
+            className="bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+          >
+            {scenarios.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => loadPuzzles(true)}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-sm"
+            title="Reload puzzles from disk"
+          >
+            Reload
+          </button>
+        </div>
+      </div>
+      
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+        {/* Puzzle List */}
+        <div className="space-y-2">
+          <button
+            onClick={() => selectPuzzle(null)}
+            className={`w-full p-2 rounded border text-left text-sm ${
+              selectedId === null ? 'bg-cyan-500/20 border-cyan-500' : 'bg-gray-800 border-gray-700 hover:border-cyan-500/50'
+            }`}
+          >
+            + New puzzle
+          </button>
+          {puzzles.map(puzzle => (
+            <div
+              key={puzzle.id}
+              onClick={() => selectPuzzle(puzzle)}
+              className={`p-2 rounded cursor-pointer border ${
+                selectedId === puzzle.id ? 'bg-cyan-500/20 border-cyan-500' : 'bg-gray-800 border-gray-700 hover:border-cyan-500/50'
+              }`}
+            >
+              <div className="font-bold text-sm">{puzzle.id}</div>
+              <div className="text-xs text-gray-500 truncate">{puzzle.desc}</div>
+            </div>
+          ))}
+        </div>
+        
+        {/* Puzzle Form */}
+        <div className="lg:col-span-2 space-y-3">
+          <div className="flex justify-end">
+            <button
+              onClick={toggleJsonMode}
+              className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-xs"
+            >
+              {jsonMode ? 'Form' : 'JSON'}
+            </button>
+          </div>
+          {jsonMode ? (
+            <textarea
+              value={jsonText}
+              onChange={(e) => setJsonText(e.target.value)}
+              rows={20}
+              className={`${inputClass} font-mono`}
+            />
+          ) : (
+            <>
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  type="text"
+                  value={form.id}
+                  onChange={(e) => updateForm({ id: e.target.value })}
+                  disabled={selectedId !== null}
+                  placeholder="puzzle-id"
+                  className={`${inputClass} disabled:opacity-50`}
+                />
+                <input
+                  type="text"
+                  value={form.requires}
+                  onChange={(e) => updateForm({ requires: e.target.value })}
+                  placeholder="requires (comma separated ids)"
+                  className={inputClass}
+                />
+              </div>
+              <input
+                type="text"
+                value={form.desc}
+                onChange={(e) => updateForm({ desc: e.target.value })}
+                placeholder="Description for GM"
+                className={inputClass}
+              />
+              {form.extra.steps ? (
+                <div className="text-sm text-yellow-400">
+                  This puzzle has {form.extra.steps.length} steps; edit them in the JSON view.
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  <div className="flex gap-2 items-center">
+                    <label className="text-sm text-gray-400">Triggers</label>
+                    <select
+                      value={form.mode}
+                      onChange={(e) => updateForm({ mode: e.target.value })}
+                      className="bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+                    >
+                      <option value="triggers">any one</option>
+                      <option value="anyOf">any (count)</option>
+                      <option value="allOf">all</option>
+                    </select>
+                    {form.mode !== 'allOf' && (
+                      <input
+                        type="number"
+                        min="1"
+                        value={form.count}
+                        onChange={(e) => updateForm({ count: e.target.value })}
+                        placeholder="count"
+                        className="w-20 bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+                      />
+                    )}
+                    <label className="text-sm text-gray-400 flex items-center gap-1 ml-auto">
+                      <input
+                        type="checkbox"
+                        checked={form.autoSolve}
+                        onChange={(e) => updateForm({ autoSolve: e.target.checked })}
+                      />
+                      autoSolve
+                    </label>
+                    <button
+                      onClick={() => updateForm({ triggers: [...form.triggers, { type: 'open', path: '/' }] })}
+                      className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-xs"
+                    >
+                      + Trigger
+                    </button>
+                  </div>
+                  {form.triggers.map((trigger, index) => (
+                    <div key={index} className="flex gap-2">
+                      <select
+                        value={trigger.type}
+                        onChange={(e) => updateRow('triggers', index, { type: e.target.value })}
+                        className="bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+                      >
+                        <option value="open">open</option>
+                        <option value="decrypt">decrypt</option>
+                        <option value="write">write</option>
+                        <option value="delete">delete</option>
+                      </select>
+                      <input
+                        type="text"
+                        value={trigger.path}
+                        onChange={(e) => updateRow('triggers', index, { path: e.target.value })}
+                        className="flex-1 bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+                      />
+                      <button
+                        onClick={() => removeRow('triggers', index)}
+                        className="px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-white text-xs"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <input
+                    type="text"
+                    value={form.validate}
+                    onChange={(e) => updateForm({ validate: e.target.value })}
+                    placeholder='validate, e.g. key:1337 or {"keyMatches": "^[0-9]+$"}'
+                    className={inputClass}
+                  />
+                </div>
+              )}
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  type="text"
+                  value={form.successMessage}
+                  onChange={(e) => updateForm({ successMessage: e.target.value })}
+                  placeholder="successMessage"
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={form.failMessage}
+                  onChange={(e) => updateForm({ failMessage: e.target.value })}
+                  placeholder="failMessage"
+                  className={inputClass}
+                />
+              </div>
+              {renderEffects('onSuccess', 'On Success')}
+              {renderEffects('onFail', 'On Fail')}
+            </>
+          )}
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              className="px-4 py-2 bg-cyan-600 hover:bg-cyan-700 rounded text-white text-sm"
+            >
+              {selectedId ? 'Save' : 'Create'}
+            </button>
+            {selectedId && (
+              <button
+                onClick={handleDelete}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded text-white text-sm"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+          {status && (
+            <div className={`text-sm ${status.error ? 'text-red-400' : 'text-green-400'}`}>
+              {status.error || status.message}
+            </div>
+          )}
+        </div>
+        
+        {/* Test Against Session */}
+        <div className="space-y-2">
+          <label className="text-sm text-gray-400">Test against session</label>
+          <select
+            value={testSession}
+            onChange={(e) => setTestSession(e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Select session...</option>
+            {sessions.map(session => (
+              <option key={session.id} value={session.id}>{session.username}</option>
+            ))}
+          </select>
+          <div className="flex gap-2">
+            <select
+              value={testEvent.type}
+              onChange={(e) => setTestEvent({ ...testEvent, type: e.target.value })}
+              className="bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+            >
+              <option value="open">open</option>
+              <option value="decrypt">decrypt</option>
+              <option value="write">write</option>
+              <option value="delete">delete</option>
+            </select>
+            <input
+              type="text"
+              value={testEvent.path}
+              onChange={(e) => setTestEvent({ ...testEvent, path: e.target.value })}
+              placeholder="/path"
+              className="flex-1 min-w-0 bg-black border border-cyan-500/50 rounded px-2 py-1 text-cyan-300 text-sm"
+            />
+          </div>
+          {testEvent.type === 'decrypt' && (
+            <input
+              type="text"
+              value={testEvent.key}
+              onChange={(e) => setTestEvent({ ...testEvent, key: e.target.value })}
+              placeholder="key"
+              className={inputClass}
+            />
+          )}
+          <button
+            onClick={handleTest}
+            disabled={!testSession}
+            className="w-full px-4 py-2 bg-yellow-600 hover:bg-yellow-700 rounded text-white text-sm disabled:opacity-50"
+          >
+            Dry Run
+          </button>
+          {report && (
+            <div className="text-xs space-y-1 bg-black border border-gray-700 rounded p-2">
+              <div className={report.requirementsMet ? 'text-green-400' : 'text-red-400'}>
+                requirements: {report.requirementsMet ? 'met' : `missing ${report.missingRequirements.join(', ')}`}
+              </div>
+              {report.solved && <div className="text-green-400">already solved</div>}
+              {report.step && <div className="text-gray-400">current step: {report.step}</div>}
+              <div className="text-gray-400">needs {report.needed} trigger(s)</div>
+              {report.triggers.map((trigger, index) => (
+                <div key={index} className={trigger.exists ? 'text-cyan-300' : 'text-red-400'}>
+                  {trigger.fired ? '✓' : '·'} {trigger.type} {trigger.host && `${trigger.host}:`}{trigger.path}{trigger.exists ? '' : ' (missing)'}
+                </div>
+              ))}
+              {report.event && (
+                <div className={report.matches && report.validates ? 'text-green-400' : 'text-red-400'}>
+                  event {report.matches ? 'matches' : 'does not match'}
+                  {report.matches && (report.validates ? ', validation passes' : ', validation fails')}
+                </div>
+              )}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleSessionAction('solve')}
+              disabled={!testSession || !selectedId}
+              className="flex-1 px-2 py-2 bg-green-600 hover:bg-green-700 rounded text-white text-sm disabled:opacity-50"
+            >
+              Mark Solved
+            </button>
+            <button
+              onClick={() => handleSessionAction('reset')}
+              disabled={!testSession || !selectedId}
+              className="flex-1 px-2 py-2 bg-red-600 hover:bg-red-700 rounded text-white text-sm disabled:opacity-50"
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+
+export default function PuzzleProgress({ adminSocket }) {
+  const [progress, setProgress] = useState([]);
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    loadProgress();
+    const interval = setInterval(loadProgress, 5000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (!adminSocket) return;
+    
+    const handleProgress = (data) => {
+      setProgress(prev => prev.map(entry =>
+        entry.sessionId === data.sessionId ? { ...entry, puzzles: data.puzzles } : entry
+      ));
+    };
+    
+    const pushEvent = (type) => (data) => {
+      setEvents(prev => [{ ...data, type }, ...prev].slice(0, 20));
+    };
+    const handleSolved = pushEvent('solved');
+    const handleFailed = pushEvent('failed');
+    
+    adminSocket.on('puzzle_progress', handleProgress);
+    adminSocket.on('puzzle_solved', handleSolved);
+    adminSocket.on('puzzle_failed', handleFailed);
+    
+    return () => {
+      adminSocket.off('puzzle_progress', handleProgress);
+      adminSocket.off('puzzle_solved', handleSolved);
+      adminSocket.off('puzzle_failed', handleFailed);
+    };
+  }, [adminSocket]);
+
+  const loadProgress = async () => {
+    try {
+      const res = await fetch('/api/admin/puzzles/progress', {
+        credentials: 'include'
+      });
+      const data = await res.json();
+      setProgress(data.progress || []);
+    } catch (err) {
+      console.error('Failed to load puzzle progress:', err);
+    }
+  };
+
+  const usernameFor = (sessionId) =>
+    progress.find(entry => entry.sessionId === sessionId)?.username || sessionId.slice(0, 8);
+
+  const describe = (puzzle) => {
+    if (puzzle.solved) return 'solved';
+    if (!puzzle.available) return 'locked';
+    const steps = puzzle.steps ? `step ${puzzle.step}/${puzzle.steps} · ` : '';
+    return `${steps}${puzzle.fired}/${puzzle.needed}`;
+  };
+
+  return (
+    <div className="bg-gray-900 border border-cyan-500/30 rounded-lg p-4">
+      <h2 className="text-xl font-bold mb-4 text-cyan-400">Puzzle Progress</h2>
+      {progress.length === 0 ? (
+        <div className="text-gray-500 text-center py-4">No active sessions</div>
+      ) : (
+        <div className="space-y-3">
+          {progress.map(entry => (
+            <div key={entry.sessionId}>
+              <div className="font-bold text-sm">
+                {entry.username}
+                <span className="ml-2 text-xs text-gray-500">
+                  {entry.puzzles.filter(p => p.solved).length}/{entry.puzzles.length} solved
+                </span>
+              </div>
+              <div className="space-y-1 mt-1">
+                {entry.puzzles.map(puzzle => (
+                  <div key={puzzle.id} className="flex justify-between text-xs" title={puzzle.desc}>
+                    <span className={puzzle.solved ? 'text-green-400' : puzzle.available ? 'text-cyan-300' : 'text-gray-500'}>
+                      {puzzle.id}
+                    </span>
+                    <span className="text-gray-400">
+                      {describe(puzzle)}
+                      {puzzle.failures > 0 && <span className="ml-2 text-red-400">✗{puzzle.failures}</span>}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      {events.length > 0 && (
+        <div className="mt-4 border-t border-gray-700 pt-2 space-y-1 max-h-40 overflow-y-auto">
+          {events.map((event, index) => (
+            <div key={index} className={`text-xs ${event.type === 'solved' ? 'text-green-400' : 'text-red-400'}`}>
+              [{new Date(event.timestamp).toLocaleTimeString()}] {usernameFor(event.sessionId)} {event.type} {event.puzzleId}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
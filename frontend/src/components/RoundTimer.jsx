@@ -0,0 +1,55 @@
+// Format a number of seconds as m:ss
+function formatClock(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export default function RoundTimer({ gameId, clock, onChange }) {
+  if (!clock?.active) return null;
+
+  const control = async (action, body) => {
+    try {
+      const res = await fetch(`/api/admin/round/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ gameId, ...body })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || `Failed to ${action} round clock`);
+        return;
+      }
+      onChange?.(data.clock);
+    } catch (err) {
+      console.error(`Failed to ${action} round clock:`, err);
+    }
+  };
+
+  return (
+    <div className="flex gap-2 items-center mt-2 text-sm">
+      <span className={`font-bold ${clock.expired || clock.remaining <= 60 ? 'text-red-400' : 'text-yellow-300'}`}>
+        {clock.expired ? 'EXPIRED' : formatClock(clock.remaining)}
+        {clock.paused && ' (paused)'}
+      </span>
+      {clock.phase && (
+        <span className="text-xs text-gray-400" title={`Deadline at ${formatClock(clock.phase.deadline)}`}>
+          {clock.phase.label}: {formatClock(clock.phase.remaining)}
+        </span>
+      )}
+      {!clock.expired && (
+        <button
+          onClick={() => control(clock.paused ? 'resume' : 'pause')}
+          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-xs"
+        >
+          {clock.paused ? 'Resume' : 'Pause'}
+        </button>
+      )}
+      <button
+        onClick={() => control('extend', { seconds: 300 })}
+        className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-white text-xs"
+      >
+        +5m
+      </button>
+    </div>
+  );
+}
@@ -4,6 +4,40 @@ import { Terminal as XTerm } from 'xterm';
 import { FitAddon } from 'xterm-addon-fit';
 import 'xterm/css/xterm.css';
 import io from 'socket.io-client';
+import TextEditor from './TextEditor';
+
+// Tone sequences ([frequency Hz, duration s]) for puzzle playSound effects
+const sounds = {
+  beep: [[880, 0.12]],
+  success: [[660, 0.1], [880, 0.1], [1320, 0.2]],
+  error: [[220, 0.25], [180, 0.3]],
+  alarm: [[960, 0.2], [720, 0.2], [960, 0.2], [720, 0.2]]
+};
+
+// Format a number of seconds as m:ss
+function formatClock(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function playSound(name) {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  const ctx = new AudioContext();
+  let start = ctx.currentTime;
+  (sounds[name] || sounds.beep).forEach(([frequency, duration]) => {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = 'square';
+    osc.frequency.value = frequency;
+    gain.gain.value = 0.05;
+    osc.connect(gain);
+    gain.connect(ctx.destination);
+    osc.start(start);
+    osc.stop(start + duration);
+    start += duration;
+  });
+  setTimeout(() => ctx.close(), (start - ctx.currentTime) * 1000 + 200);
+}
 
 export default function TerminalUI({ sessionId, user, setUser }) {
   const navigate = useNavigate();
@@ -12,7 +46,10 @@ export default function TerminalUI({ sessionId, user, setUser }) {
   const fitAddon = useRef(null);
   const socket = useRef(null);
   const [connected, setConnected] = useState(false);
+  const [aiState, setAiState] = useState(null);
+  const [clock, setClock] = useState(null);
   const currentLine = useRef('');
+  const editor = useRef(null);
 
   useEffect(() => {
     // Initialize terminal
@@ -36,6 +73,20 @@ export default function TerminalUI({ sessionId, user, setUser }) {
 
     terminal.current = term;
 
+    // Output that arrives while the editor is open waits until it closes
+    let pending = [];
+    const screen = {};
+    ['write', 'writeln', 'clear'].forEach(method => {
+      screen[method] = (...args) => {
+        if (editor.current) {
+          pending.push(() => term[method](...args));
+          editor.current.setStatus('New terminal output. Exit to read it');
+        } else {
+          term[method](...args);
+        }
+      };
+    });
+
     // Connect to socket
     const sock = io('http://localhost:3010', {
       transports: ['websocket']
@@ -74,9 +125,9 @@ export default function TerminalUI({ sessionId, user, setUser }) {
 
     sock.on('output', (data) => {
       if (data.type === 'clear') {
-        term.clear();
+        screen.clear();
       } else if (data.type === 'prompt') {
-        term.write('\r\n' + data.content);
+        screen.write('\r\n' + data.content);
       } else {
         const reset = '\x1b[0m';
         const style = data.type === 'error' ? '\x1b[31m' : 
@@ -86,28 +137,80 @@ export default function TerminalUI({ sessionId, user, setUser }) {
         const lines = data.content.split('\n');
         lines.forEach((line, index) => {
           if (line || index < lines.length - 1) { // Write line even if empty (except last)
-            term.writeln(style + line + reset);
+            screen.writeln(style + line + reset);
           }
         });
       }
     });
 
     sock.on('system_message', (data) => {
-      term.writeln(`\r\n\x1b[31m[SYSTEM] ${data.message}\x1b[0m`);
+      screen.writeln(`\r\n\x1b[31m[SYSTEM] ${data.message}\x1b[0m`);
       // Prompt will be sent separately via output event, but if path is provided, use it
       if (data.path) {
-        term.write(`${data.path} $ `);
+        screen.write(`${data.path} $ `);
       }
     });
 
+    sock.on('timer_started', (data) => {
+      const seconds = Math.max(0, Math.round((new Date(data.endsAt) - Date.now()) / 1000));
+      screen.writeln(`\r\n\x1b[33m[TIMER] ${data.label || data.id}: ${seconds}s remaining\x1b[0m`);
+    });
+
+    sock.on('timer_expired', (data) => {
+      screen.writeln(`\r\n\x1b[31m[TIMER] ${data.label || data.id} expired\x1b[0m`);
+    });
+
+    sock.on('puzzle_solved', (data) => {
+      screen.writeln(`\r\n\x1b[32m${data.message}\x1b[0m`);
+    });
+
+    sock.on('puzzle_failed', (data) => {
+      screen.writeln(`\r\n\x1b[31m${data.message}\x1b[0m`);
+    });
+
+    sock.on('ai_state', (data) => {
+      setAiState(data);
+    });
+
+    sock.on('round_tick', (data) => {
+      setClock(data.active ? data : null);
+    });
+
+    sock.on('play_sound', (data) => {
+      playSound(data.sound);
+    });
+
+    sock.on('editor_open', ({ path, contents }) => {
+      editor.current = new TextEditor(term, {
+        path,
+        contents,
+        onSave: (text) => sock.emit('editor_save', { contents: text }),
+        onClose: () => {
+          editor.current = null;
+          pending.forEach(write => write());
+          pending = [];
+          sock.emit('editor_close');
+        }
+      });
+      editor.current.open();
+    });
+
+    sock.on('editor_saved', ({ error }) => {
+      editor.current?.saved(error);
+    });
+
     sock.on('error', (data) => {
-      term.writeln(`\r\n\x1b[31m[ERROR] ${data.message}\x1b[0m`);
+      screen.writeln(`\r\n\x1b[31m[ERROR] ${data.message}\x1b[0m`);
     });
 
     socket.current = sock;
 
     // Handle terminal input
     term.onData((data) => {
+      if (editor.current) {
+        editor.current.handle(data);
+        return;
+      }
       if (data === '\r' || data === '\n') {
         // Enter pressed
         const command = currentLine.current.trim();
@@ -152,6 +255,7 @@ export default function TerminalUI({ sessionId, user, setUser }) {
     const handleResize = () => {
       fitAddon.current?.fit();
     };
+    term.onResize(() => editor.current?.render());
     window.addEventListener('resize', handleResize);
 
     return () => {
@@ -161,9 +265,44 @@ export default function TerminalUI({ sessionId, user, setUser }) {
     };
   }, [sessionId]);
 
+  const trace = aiState?.trace || 0;
+  const traceColor = trace >= 80 ? 'bg-red-500' : trace >= 50 ? 'bg-yellow-400' : 'bg-cyan-400';
+
   return (
-    <div className="w-full h-full bg-black">
+    <div className="relative w-full h-full bg-black">
       <div ref={terminalRef} className="w-full h-full" />
+      {(aiState || clock) && (
+        <div className="absolute top-2 right-4 w-48 bg-black/80 border border-cyan-500/40 rounded px-2 py-1 font-mono text-xs text-cyan-400 pointer-events-none">
+          {clock && (
+            <div className="mb-1">
+              <div className="flex justify-between">
+                <span>TIME</span>
+                <span className={clock.expired || clock.remaining <= 60 ? 'text-red-400' : ''}>
+                  {clock.paused ? 'PAUSED ' : ''}{formatClock(clock.remaining)}
+                </span>
+              </div>
+              {clock.phase && (
+                <div className="flex justify-between text-gray-500">
+                  <span className="truncate mr-2">{clock.phase.label}</span>
+                  <span>{formatClock(clock.phase.remaining)}</span>
+                </div>
+              )}
+            </div>
+          )}
+          {aiState && (
+            <>
+              <div className="flex justify-between">
+                <span>TRACE</span>
+                <span className={trace >= 80 ? 'text-red-400' : ''}>{aiState.paused ? 'PAUSED ' : ''}{trace}%</span>
+              </div>
+              <div className="h-1.5 bg-gray-800 rounded mt-1">
+                <div className={`h-full rounded transition-all ${traceColor}`} style={{ width: `${trace}%` }} />
+              </div>
+              <div className="text-gray-500 mt-1 uppercase">{aiState.status}</div>
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,281 @@
+/**
+ * Text Editor
+ * A small full-screen editor drawn inside the player's xterm, opened by the
+ * `edit`/`nano` commands. It runs on the terminal's alternate screen, so the
+ * shell's scrollback comes back untouched when it closes. Saving hands the
+ * text to `onSave`; the server answers through saved().
+ */
+
+const TAB = '  ';
+
+// Escape sequences xterm sends for the keys the editor handles
+const keys = {
+  '\x1b[A': 'up',
+  '\x1b[B': 'down',
+  '\x1b[C': 'right',
+  '\x1b[D': 'left',
+  '\x1bOA': 'up',
+  '\x1bOB': 'down',
+  '\x1bOC': 'right',
+  '\x1bOD': 'left',
+  '\x1b[H': 'home',
+  '\x1b[F': 'end',
+  '\x1bOH': 'home',
+  '\x1bOF': 'end',
+  '\x1b[1~': 'home',
+  '\x1b[4~': 'end',
+  '\x1b[3~': 'delete',
+  '\x1b[5~': 'pageUp',
+  '\x1b[6~': 'pageDown',
+  '\r': 'enter',
+  '\x7f': 'backspace',
+  '\b': 'backspace',
+  '\t': 'tab',
+  '\x13': 'save', // Ctrl+S
+  '\x0f': 'save', // Ctrl+O, as in nano
+  '\x18': 'quit' // Ctrl+X
+};
+
+const HELP = '^S Save   ^X Exit   Arrows/PgUp/PgDn Move';
+
+export default class TextEditor {
+  constructor(term, { path, contents = '', onSave, onClose }) {
+    this.term = term;
+    this.path = path;
+    this.lines = contents.replace(/\r\n?/g, '\n').split('\n');
+    this.onSave = onSave;
+    this.onClose = onClose;
+    this.row = 0;
+    this.col = 0;
+    this.top = 0; // first line in view
+    this.left = 0; // first column in view
+    this.dirty = false;
+    this.saving = false;
+    this.confirmQuit = false;
+    this.closed = false;
+    this.status = `Editing ${path}`;
+  }
+
+  /**
+   * Switch to the alternate screen and draw the file
+   */
+  open() {
+    this.term.write('\x1b[?1049h');
+    this.render();
+  }
+
+  /**
+   * Leave the editor and restore the shell screen
+   */
+  close() {
+    this.term.write('\x1b[?1049l');
+    this.onClose?.();
+  }
+
+  /**
+   * Show a one-line message in the status bar
+   */
+  setStatus(message) {
+    this.status = message;
+    this.render();
+  }
+
+  /**
+   * Handle input from the terminal: keys, or a burst of pasted text
+   */
+  handle(data) {
+    let i = 0;
+    while (i < data.length) {
+      let sequence = data[i];
+      if (sequence === '\x1b') {
+        const match = /^\x1b(\[[0-9;]*[A-Za-z~]|O[A-Za-z])/.exec(data.slice(i));
+        sequence = match ? match[0] : sequence;
+      }
+      i += sequence.length;
+      
+      const key = keys[sequence];
+      if (key) {
+        if (key !== 'quit') this.confirmQuit = false;
+        this.press(key);
+      } else if (sequence === '\n') {
+        this.press('enter');
+      } else if (sequence >= ' ' && sequence !== '\x1b') {
+        this.confirmQuit = false;
+        this.insert(sequence);
+      }
+      if (this.closed) return;
+    }
+    this.render();
+  }
+
+  /**
+   * Run an editing or movement key
+   */
+  press(key) {
+    const line = this.lines[this.row];
+    const page = this.height() - 1;
+    
+    switch (key) {
+      case 'up':
+        this.moveTo(this.row - 1, this.col);
+        break;
+      case 'down':
+        this.moveTo(this.row + 1, this.col);
+        break;
+      case 'left':
+        if (this.col > 0) this.col--;
+        else if (this.row > 0) this.moveTo(this.row - 1, Infinity);
+        break;
+      case 'right':
+        if (this.col < line.length) this.col++;
+        else if (this.row < this.lines.length - 1) this.moveTo(this.row + 1, 0);
+        break;
+      case 'home':
+        this.col = 0;
+        break;
+      case 'end':
+        this.col = line.length;
+        break;
+      case 'pageUp':
+        this.moveTo(this.row - page, this.col);
+        break;
+      case 'pageDown':
+        this.moveTo(this.row + page, this.col);
+        break;
+      case 'enter':
+        this.lines.splice(this.row, 1, line.slice(0, this.col), line.slice(this.col));
+        this.moveTo(this.row + 1, 0);
+        this.changed();
+        break;
+      case 'tab':
+        this.insert(TAB);
+        break;
+      case 'backspace':
+        if (this.col > 0) {
+          this.lines[this.row] = line.slice(0, this.col - 1) + line.slice(this.col);
+          this.col--;
+          this.changed();
+        } else if (this.row > 0) {
+          const previous = this.lines[this.row - 1];
+          this.lines.splice(this.row - 1, 2, previous + line);
+          this.moveTo(this.row - 1, previous.length);
+          this.changed();
+        }
+        break;
+      case 'delete':
+        if (this.col < line.length) {
+          this.lines[this.row] = line.slice(0, this.col) + line.slice(this.col + 1);
+          this.changed();
+        } else if (this.row < this.lines.length - 1) {
+          this.lines.splice(this.row, 2, line + this.lines[this.row + 1]);
+          this.changed();
+        }
+        break;
+      case 'save':
+        this.save();
+        break;
+      case 'quit':
+        this.quit();
+        break;
+    }
+  }
+
+  /**
+   * Type text at the cursor
+   */
+  insert(text) {
+    const line = this.lines[this.row];
+    this.lines[this.row] = line.slice(0, this.col) + text + line.slice(this.col);
+    this.col += text.length;
+    this.changed();
+  }
+
+  /**
+   * Move the cursor, keeping it inside the file
+   */
+  moveTo(row, col) {
+    this.row = Math.max(0, Math.min(row, this.lines.length - 1));
+    this.col = Math.max(0, Math.min(col, this.lines[this.row].length));
+  }
+
+  /**
+   * Mark the file modified and clear any stale status message
+   */
+  changed() {
+    this.dirty = true;
+    this.status = '';
+  }
+
+  /**
+   * Send the text to the server; saved() reports the outcome
+   */
+  save() {
+    if (this.saving) return;
+    this.saving = true;
+    this.status = `Saving ${this.path}...`;
+    this.onSave?.(this.lines.join('\n'));
+  }
+
+  /**
+   * The server's answer to a save
+   */
+  saved(error) {
+    this.saving = false;
+    if (error) {
+      this.setStatus(`Save failed: ${error}`);
+      return;
+    }
+    this.dirty = false;
+    this.setStatus(`Saved ${this.path}`);
+  }
+
+  /**
+   * Exit, asking once before unsaved changes are thrown away
+   */
+  quit() {
+    if (this.dirty && !this.confirmQuit) {
+      this.confirmQuit = true;
+      this.status = 'Unsaved changes! ^X again to discard them, ^S to save';
+      return;
+    }
+    this.closed = true;
+    this.close();
+  }
+
+  /**
+   * Rows available for the file between the title and status bars
+   */
+  height() {
+    return Math.max(1, this.term.rows - 2);
+  }
+
+  /**
+   * Redraw the whole screen and place the cursor
+   */
+  render() {
+    if (this.closed) return;
+    const { cols } = this.term;
+    const height = this.height();
+    
+    // Scroll so the cursor stays in view
+    if (this.row < this.top) this.top = this.row;
+    if (this.row >= this.top + height) this.top = this.row - height + 1;
+    if (this.col < this.left) this.left = this.col;
+    if (this.col >= this.left + cols) this.left = this.col - cols + 1;
+    
+    const fit = (text) => text.slice(0, cols).padEnd(cols);
+    const title = ` EDIT  ${this.path}${this.dirty ? '  [modified]' : ''}`;
+    const position = `Ln ${this.row + 1}, Col ${this.col + 1} `;
+    
+    let screen = '\x1b[?25l\x1b[H';
+    screen += `\x1b[7m${fit(title.padEnd(cols - position.length) + position)}\x1b[0m`;
+    for (let i = 0; i < height; i++) {
+      const line = this.lines[this.top + i];
+      const text = line === undefined ? '~' : line.replace(/\t/g, ' ').slice(this.left);
+      screen += `\r\n${line === undefined ? '\x1b[2m' : ''}${fit(text)}\x1b[0m`;
+    }
+    screen += `\r\n\x1b[7m${fit(` ${this.status || HELP}`)}\x1b[0m`;
+    screen += `\x1b[${this.row - this.top + 2};${this.col - this.left + 1}H\x1b[?25h`;
+    this.term.write(screen);
+  }
+}
@@ -2,6 +2,16 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import io from 'socket.io-client';
 import FileSystemExplorer from '../components/FileSystemExplorer';
+import PuzzleProgress from '../components/PuzzleProgress';
+import PuzzleEditor from '../components/PuzzleEditor';
+import GmAlerts from '../components/GmAlerts';
+import GamesPanel from '../components/GamesPanel';
+import ProcessPanel from '../components/ProcessPanel';
+
+// Colour a session's trace percentage by how close it is to lockdown
+function traceColor(trace = 0) {
+  return trace >= 80 ? 'text-red-400' : trace >= 50 ? 'text-yellow-400' : 'text-green-400';
+}
 
 export default function AdminDashboard({ user }) {
   const [sessions, setSessions] = useState([]);
@@ -17,16 +27,20 @@ export default function AdminDashboard({ user }) {
   const [viewMode, setViewMode] = useState('single'); // 'single' or 'all'
   const [allTerminalOutputs, setAllTerminalOutputs] = useState({}); // sessionId -> output array
   const [typingStates, setTypingStates] = useState({}); // sessionId -> current typing text
-  const [roundStatus, setRoundStatus] = useState({ total: 0, waiting: 0, started: 0, allStarted: false });
+  const [games, setGames] = useState([]);
+  const [selectedGameId, setSelectedGameId] = useState(''); // '' shows every game's sessions
   const [showFileExplorer, setShowFileExplorer] = useState(false);
+  const [showPuzzleEditor, setShowPuzzleEditor] = useState(false);
+  const [scenarios, setScenarios] = useState([]);
   const navigate = useNavigate();
 
   useEffect(() => {
     loadSessions();
-    loadRoundStatus();
+    loadGames();
+    loadScenarios();
     const interval = setInterval(() => {
       loadSessions();
-      loadRoundStatus();
+      loadGames();
     }, 2000);
     
     // Connect to admin socket
@@ -203,17 +217,39 @@ export default function AdminDashboard({ user }) {
       }
     };
     
+    const handleAiState = (data) => {
+      const aiState = { level: data.level, status: data.status, trace: data.trace };
+      setSessions(prev => prev.map(s => (s.id === data.sessionId ? { ...s, aiState } : s)));
+      setSessionDetails(prev => (prev?.id === data.sessionId ? { ...prev, aiState: { ...prev.aiState, ...aiState } } : prev));
+    };
+    
     adminSocket.on('terminal_output', handleTerminalOutput);
     adminSocket.on('terminal_command', handleTerminalCommand);
     adminSocket.on('terminal_typing', handleTerminalTyping);
+    adminSocket.on('ai_state', handleAiState);
     
     return () => {
       adminSocket.off('terminal_output', handleTerminalOutput);
       adminSocket.off('terminal_command', handleTerminalCommand);
       adminSocket.off('terminal_typing', handleTerminalTyping);
+      adminSocket.off('ai_state', handleAiState);
     };
   }, [adminSocket, selectedSession, viewMode]);
 
+  // Keep each game's round clock live between polls
+  useEffect(() => {
+    if (!adminSocket) return;
+    
+    const handleRoundTick = ({ gameId, ...clock }) => {
+      setGames(prev => prev.map(game => (game.id === gameId ? { ...game, clock } : game)));
+    };
+    
+    adminSocket.on('round_tick', handleRoundTick);
+    return () => {
+      adminSocket.off('round_tick', handleRoundTick);
+    };
+  }, [adminSocket]);
+
   const loadSessions = async () => {
     try {
       const res = await fetch('/api/admin/sessions', { credentials: 'include' });
@@ -224,45 +260,25 @@ export default function AdminDashboard({ user }) {
     }
   };
 
-  const loadRoundStatus = async () => {
+  const loadGames = async () => {
     try {
-      const res = await fetch('/api/admin/round/status', { credentials: 'include' });
+      const res = await fetch('/api/admin/games', { credentials: 'include' });
       const data = await res.json();
-      setRoundStatus(data);
+      setGames(data.games || []);
     } catch (err) {
-      console.error('Failed to load round status:', err);
+      console.error('Failed to load games:', err);
     }
   };
 
-  const handleStartRound = async () => {
+  const loadScenarios = async (reload = false) => {
     try {
-      const res = await fetch('/api/admin/round/start', {
-        method: 'POST',
-        credentials: 'include'
-      });
-      if (res.ok) {
-        await loadRoundStatus();
-        await loadSessions();
-      }
-    } catch (err) {
-      console.error('Failed to start round:', err);
-      alert('Failed to start round');
-    }
-  };
-
-  const handleEndRound = async () => {
-    try {
-      const res = await fetch('/api/admin/round/end', {
-        method: 'POST',
-        credentials: 'include'
-      });
-      if (res.ok) {
-        await loadRoundStatus();
-        await loadSessions();
-      }
+      const res = reload
+        ? await fetch('/api/admin/scenarios/reload', { method: 'POST', credentials: 'include' })
+        : await fetch('/api/admin/scenarios', { credentials: 'include' });
+      const data = await res.json();
+      setScenarios(data.scenarios || []);
     } catch (err) {
-      console.error('Failed to end round:', err);
-      alert('Failed to end round');
+      console.error('Failed to load scenarios:', err);
     }
   };
 
@@ -288,6 +304,9 @@ export default function AdminDashboard({ user }) {
     }
   };
 
+  // Bulk actions reach one game: the selected one, or the default table
+  const bulkGameId = selectedGameId || 'default';
+
   const handlePushFile = async () => {
     if (!pushFilePath || !pushFileContents) return;
     
@@ -298,7 +317,7 @@ export default function AdminDashboard({ user }) {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           credentials: 'include',
-          body: JSON.stringify({ path: pushFilePath, contents: pushFileContents })
+          body: JSON.stringify({ gameId: bulkGameId, path: pushFilePath, contents: pushFileContents })
         });
         if (res.ok) {
           setPushFilePath('');
@@ -339,7 +358,7 @@ export default function AdminDashboard({ user }) {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           credentials: 'include',
-          body: JSON.stringify({ path: lockPath, locked })
+          body: JSON.stringify({ gameId: bulkGameId, path: lockPath, locked })
         });
         if (res.ok) {
           setLockPath('');
@@ -378,7 +397,7 @@ export default function AdminDashboard({ user }) {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           credentials: 'include',
-          body: JSON.stringify({ message })
+          body: JSON.stringify({ gameId: bulkGameId, message })
         });
         if (res.ok) {
           setMessage('');
@@ -413,7 +432,7 @@ export default function AdminDashboard({ user }) {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           credentials: 'include',
-          body: JSON.stringify({ frozen })
+          body: JSON.stringify({ gameId: bulkGameId, frozen })
         });
         if (res.ok) {
           loadSessions();
@@ -445,6 +464,9 @@ export default function AdminDashboard({ user }) {
     navigate('/login');
   };
 
+  // Sessions at the game picked in the games panel (every game if none)
+  const visibleSessions = selectedGameId ? sessions.filter(s => s.gameId === selectedGameId) : sessions;
+
   return (
     <div className="h-screen bg-black text-cyan-400 font-mono p-6 overflow-y-auto">
       <div className="max-w-7xl mx-auto">
@@ -453,30 +475,6 @@ export default function AdminDashboard({ user }) {
             IMMORTECH ADMIN DASHBOARD
           </h1>
           <div className="flex gap-4 items-center">
-            {/* Round Control */}
-            <div className="bg-gray-900 border border-yellow-500/30 rounded-lg p-3">
-              <div className="text-sm text-yellow-400 mb-2">
-                Round Status: {roundStatus.waiting} waiting, {roundStatus.started} started
-              </div>
-              <div className="flex gap-2">
-                {!roundStatus.globalRoundStarted && roundStatus.total > 0 && (
-                  <button
-                    onClick={handleStartRound}
-                    className="px-4 py-2 bg-yellow-600 hover:bg-yellow-700 rounded text-white text-sm"
-                  >
-                    Start Round
-                  </button>
-                )}
-                {roundStatus.globalRoundStarted && (
-                  <button
-                    onClick={handleEndRound}
-                    className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded text-white text-sm"
-                  >
-                    End Round
-                  </button>
-                )}
-              </div>
-            </div>
             {/* File Explorer Toggle */}
             <button
               onClick={() => setShowFileExplorer(!showFileExplorer)}
@@ -488,6 +486,17 @@ export default function AdminDashboard({ user }) {
             >
               {showFileExplorer ? 'Hide' : 'Show'} File Explorer
             </button>
+            {/* Puzzle Editor Toggle */}
+            <button
+              onClick={() => setShowPuzzleEditor(!showPuzzleEditor)}
+              className={`px-4 py-2 rounded ${
+                showPuzzleEditor
+                  ? 'bg-yellow-600 text-white'
+                  : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+              }`}
+            >
+              Puzzles
+            </button>
             <div className="flex gap-2">
               <button
                 onClick={() => setViewMode('single')}
@@ -519,6 +528,31 @@ export default function AdminDashboard({ user }) {
           </div>
         </div>
 
+        {showPuzzleEditor && (
+          <div className="mb-6">
+            <PuzzleEditor
+              scenarios={scenarios}
+              sessions={sessions}
+              defaultScenario={games.find(g => g.id === (selectedGameId || 'default'))?.scenarioId}
+            />
+          </div>
+        )}
+        
+        <GamesPanel
+          games={games}
+          scenarios={scenarios}
+          sessions={sessions}
+          selectedGameId={selectedGameId}
+          onSelect={setSelectedGameId}
+          onChange={() => {
+            loadGames();
+            loadSessions();
+          }}
+          onReloadScenarios={() => loadScenarios(true)}
+        />
+
+        <GmAlerts adminSocket={adminSocket} />
+
         {viewMode === 'all' ? (
           /* All Terminals View */
           <div className="space-y-4">
@@ -526,7 +560,10 @@ export default function AdminDashboard({ user }) {
             
             {/* Bulk Actions Panel */}
             <div className="bg-gray-900 border border-cyan-500/30 rounded-lg p-4 mb-4">
-              <h3 className="text-lg font-bold text-cyan-400 mb-4">Bulk Actions</h3>
+              <h3 className="text-lg font-bold text-cyan-400 mb-4">
+                Bulk Actions
+                <span className="text-sm text-gray-400"> · {games.find(g => g.id === bulkGameId)?.name || bulkGameId}</span>
+              </h3>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
                 {/* Send Message to All */}
                 <div className="space-y-2">
@@ -624,14 +661,18 @@ export default function AdminDashboard({ user }) {
               </div>
             </div>
 
+            <PuzzleProgress adminSocket={adminSocket} />
+
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-              {sessions.map(session => {
+              {visibleSessions.map(session => {
                 const sessionOutput = allTerminalOutputs[session.id] || [];
                 return (
                   <div key={session.id} className="bg-gray-900 border border-cyan-500/30 rounded-lg p-4">
                     <div className="flex justify-between items-center mb-2">
                       <h3 className="text-lg font-bold text-cyan-400">{session.username}</h3>
-                      <span className="text-xs text-gray-500">{session.currentPath}</span>
+                      <span className="text-xs text-gray-500">
+                        {session.host && `${session.host}:`}{session.currentPath} · <span className={traceColor(session.aiState?.trace)}>TRACE {session.aiState?.trace || 0}%</span>
+                      </span>
                     </div>
                     <div 
                       id={`terminal-viewer-${session.id}`}
@@ -675,7 +716,7 @@ export default function AdminDashboard({ user }) {
                   </div>
                 );
               })}
-              {sessions.length === 0 && (
+              {visibleSessions.length === 0 && (
                 <div className="col-span-full text-center text-gray-500 py-8">
                   No active sessions
                 </div>
@@ -711,9 +752,14 @@ export default function AdminDashboard({ user }) {
               {/* Sessions List */}
               <div className="lg:col-span-1">
               <div className="bg-gray-900 border border-cyan-500/30 rounded-lg p-4">
-                <h2 className="text-xl font-bold mb-4 text-cyan-400">Active Sessions</h2>
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">
+                  Active Sessions
+                  {selectedGameId && (
+                    <span className="text-sm text-gray-400"> · {games.find(g => g.id === selectedGameId)?.name}</span>
+                  )}
+                </h2>
               <div className="space-y-2">
-                {sessions.map(session => (
+                {visibleSessions.map(session => (
                   <div
                     key={session.id}
                     onClick={() => setSelectedSession(session)}
@@ -724,17 +770,21 @@ export default function AdminDashboard({ user }) {
                     }`}
                   >
                     <div className="font-bold">{session.username}</div>
-                    <div className="text-sm text-gray-400">{session.currentPath}</div>
+                    <div className="text-sm text-gray-400">{session.host && `${session.host}:`}{session.currentPath}</div>
+                    <div className={`text-xs ${traceColor(session.aiState?.trace)}`}>Trace: {session.aiState?.trace || 0}%</div>
                     <div className="text-xs text-gray-500 mt-1">
                       {new Date(session.lastActivity).toLocaleTimeString()}
                     </div>
                   </div>
                 ))}
-                {sessions.length === 0 && (
+                {visibleSessions.length === 0 && (
                   <div className="text-gray-500 text-center py-4">No active sessions</div>
                 )}
               </div>
             </div>
+            <div className="mt-6">
+              <PuzzleProgress adminSocket={adminSocket} />
+            </div>
           </div>
 
           {/* Session Details & Controls */}
@@ -749,7 +799,7 @@ export default function AdminDashboard({ user }) {
                       <span className="text-gray-500">Username:</span> {selectedSession.username}
                     </div>
                     <div>
-                      <span className="text-gray-500">Current Path:</span> {sessionDetails?.currentPath || selectedSession.currentPath}
+                      <span className="text-gray-500">Current Path:</span> {sessionDetails?.host && `${sessionDetails.host}:`}{sessionDetails?.currentPath || selectedSession.currentPath}
                     </div>
                     <div>
                       <span className="text-gray-500">AI Status:</span> {sessionDetails?.aiState?.status || 'idle'}
@@ -757,6 +807,11 @@ export default function AdminDashboard({ user }) {
                     <div>
                       <span className="text-gray-500">AI Level:</span> {sessionDetails?.aiState?.level || 0}
                     </div>
+                    <div>
+                      <span className="text-gray-500">Trace:</span>{' '}
+                      <span className={traceColor(sessionDetails?.aiState?.trace)}>{sessionDetails?.aiState?.trace || 0}%</span>
+                      {sessionDetails?.aiState?.tracePause && <span className="text-yellow-400"> (paused, watchdog down)</span>}
+                    </div>
                     <div>
                       <span className="text-gray-500">Frozen:</span> {sessionDetails?.frozen ? 'Yes' : 'No'}
                     </div>
@@ -827,6 +882,9 @@ export default function AdminDashboard({ user }) {
                   </div>
                 </div>
 
+                {/* Processes */}
+                <ProcessPanel sessionId={selectedSession.id} />
+
                 {/* Send Message */}
                 <div className="bg-gray-900 border border-cyan-500/30 rounded-lg p-4">
                   <h2 className="text-xl font-bold mb-4 text-cyan-400">Send Message</h2>
@@ -932,7 +990,7 @@ export default function AdminDashboard({ user }) {
           <div className="bg-gray-900 border border-yellow-500/30 rounded-lg p-4 mt-6">
             <h2 className="text-xl font-bold mb-4 text-yellow-400">Group File System Explorer</h2>
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-              {sessions.map(session => (
+              {visibleSessions.map(session => (
                 <div key={session.id} className="bg-gray-800 border border-yellow-500/20 rounded p-3">
                   <h3 className="text-sm font-bold text-yellow-400 mb-2">{session.username}</h3>
                   <div className="h-64">
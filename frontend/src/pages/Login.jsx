@@ -1,11 +1,13 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 
 export default function Login({ setUser }) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [joinCode, setJoinCode] = useState('');
   const [isRegister, setIsRegister] = useState(false);
-  const [error, setError] = useState('');
+  const location = useLocation();
+  const [error, setError] = useState(location.state?.error || '');
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
 
@@ -37,7 +39,8 @@ export default function Login({ setUser }) {
       if (data.user.role === 'admin') {
         navigate('/admin');
       } else {
-        navigate('/terminal');
+        // Without a join code the player sits at the default table
+        navigate('/terminal', { state: { code: joinCode.trim() || null } });
       }
     } catch (err) {
       setError('Connection error. Please try again.');
@@ -80,6 +83,20 @@ export default function Login({ setUser }) {
               />
             </div>
 
+            {!isRegister && (
+              <div>
+                <label className="block text-cyan-400 text-sm mb-2">Join code <span className="text-gray-500">(optional)</span></label>
+                <input
+                  type="text"
+                  value={joinCode}
+                  onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+                  placeholder="Main table"
+                  maxLength={6}
+                  className="w-full bg-black border border-cyan-500/50 rounded px-4 py-2 text-cyan-300 tracking-widest uppercase placeholder:normal-case placeholder:tracking-normal placeholder:text-gray-600 focus:outline-none focus:border-cyan-400 focus:ring-1 focus:ring-cyan-400"
+                />
+              </div>
+            )}
+
             {error && (
               <div className="text-red-400 text-sm bg-red-900/20 border border-red-500/50 rounded px-4 py-2">
                 {error}
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import BootSeq from '../components/BootSeq';
 import TerminalUI from '../components/TerminalUI';
 import io from 'socket.io-client';
@@ -10,17 +10,35 @@ export default function Terminal({ user, setUser }) {
   const [loading, setLoading] = useState(true);
   const [waitingRoom, setWaitingRoom] = useState(true);
   const [roundStarted, setRoundStarted] = useState(false);
+  const [scenario, setScenario] = useState(null);
+  const [game, setGame] = useState(null);
+  const location = useLocation();
+  // A join code from the login form; retried from the error screen
+  const [code, setCode] = useState(location.state?.code || null);
+  const [codeInput, setCodeInput] = useState('');
+  const [joinError, setJoinError] = useState(null);
   const navigate = useNavigate();
 
   useEffect(() => {
-    // Create or get session
+    // Create or get session (at the join code's table, if any)
     fetch('/api/session/create', {
       method: 'POST',
-      credentials: 'include'
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ code })
     })
-      .then(res => res.json())
-      .then(data => {
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) {
+          setJoinError(data.error || 'Failed to join game');
+          setLoading(false);
+          return;
+        }
+        
+        setJoinError(null);
         setSessionId(data.sessionId);
+        setScenario(data.scenario || null);
+        setGame(data.game || null);
         
         // Check if round is already started (for page refresh)
         if (data.roundStarted) {
@@ -43,6 +61,10 @@ export default function Terminal({ user, setUser }) {
         });
         
         sock.on('round_started', (data) => {
+          // The GM may have switched scenario packs before starting the round
+          if (data?.scenario) {
+            setScenario(data.scenario);
+          }
           setWaitingRoom(false);
           setRoundStarted(true);
         });
@@ -56,7 +78,39 @@ export default function Terminal({ user, setUser }) {
         console.error('Failed to create session:', err);
         navigate('/login');
       });
-  }, [navigate]);
+  }, [code, navigate]);
+
+  if (joinError) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center font-mono">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setLoading(true);
+            setCode(codeInput.trim() || null);
+          }}
+          className="bg-gray-900 border border-red-500/50 rounded-lg p-8 w-full max-w-md space-y-4"
+        >
+          <div className="text-red-400 text-sm">{joinError}</div>
+          <input
+            type="text"
+            value={codeInput}
+            onChange={(e) => setCodeInput(e.target.value.toUpperCase())}
+            placeholder="Join code (leave empty for the main table)"
+            maxLength={6}
+            className="w-full bg-black border border-cyan-500/50 rounded px-4 py-2 text-cyan-300 tracking-widest placeholder:tracking-normal placeholder:text-gray-600 focus:outline-none focus:border-cyan-400"
+            autoFocus
+          />
+          <button
+            type="submit"
+            className="w-full bg-gradient-to-r from-cyan-500 to-purple-600 text-white font-bold py-2 px-4 rounded hover:from-cyan-400 hover:to-purple-500 transition"
+          >
+            Join
+          </button>
+        </form>
+      </div>
+    );
+  }
 
   if (loading || !sessionId) {
     return (
@@ -71,8 +125,13 @@ export default function Terminal({ user, setUser }) {
       <div className="w-screen h-screen bg-black flex items-center justify-center">
         <div className="text-center border-2 border-yellow-500 p-12 rounded-lg bg-black/50">
           <div className="text-6xl font-bold text-yellow-500 mb-6 font-mono tracking-wider">
-            IMMORTECH
+            {scenario?.title || 'IMMORTECH'}
           </div>
+          {game && game.id !== 'default' && (
+            <div className="text-lg text-yellow-600 mb-6 font-mono">
+              {game.name} [{game.code}]
+            </div>
+          )}
           <div className="text-3xl text-yellow-400 mb-8 font-mono">
             Waiting for system bypass...
           </div>
@@ -87,7 +146,7 @@ export default function Terminal({ user, setUser }) {
   return (
     <div className="w-screen h-screen bg-black overflow-hidden">
       {!bootComplete ? (
-        <BootSeq onComplete={() => setBootComplete(true)} />
+        <BootSeq messages={scenario?.boot} onComplete={() => setBootComplete(true)} />
       ) : (
         <TerminalUI sessionId={sessionId} user={user} setUser={setUser} />
       )}